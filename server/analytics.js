@@ -0,0 +1,173 @@
+import { db } from './firebase.js';
+
+/* =======================================================================================
+ * Engagement analytics
+ *
+ * The counters each collection carries:
+ *   images       likes, saves, shares, views
+ *   recentItems  stats.views, stats.saves, stats.shares (no likes)
+ * engagement is likes + saves + shares.
+ *
+ * summarize() adds them up over the docs created in a date range — totals, one row per
+ * category / tag / uploader, and the top docs by a metric. The counters only hold the
+ * current value, so trends come from snapshots:
+ *   analyticsSnapshots/{YYYY-MM-DD}: { date, takenAt, collections: { <col>: { totals, byCategory } } }
+ * takeSnapshot() writes the day's one (index.js runs it daily); a trend point is a snapshot
+ * with the change since the one before it.
+ * ======================================================================================= */
+const COL_SNAPSHOTS = 'analyticsSnapshots';
+const COUNTERS = ['views', 'likes', 'saves', 'shares'];
+const METRICS = [...COUNTERS, 'engagement'];
+const GROUP_BY = ['category', 'tag', 'uploader'];
+const NONE = '(none)'; // group key of docs without a category / tag / uploader
+
+const count = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+
+const ANALYZED = {
+  images: {
+    select: ['title', 'category', 'tags', 'uploadedBy', 'createdAt', 'uploadDate', 'likes', 'saves', 'shares', 'views', 'thumbnailUrl', 'imageUrl'],
+    counters: (d) => ({ views: count(d.views), likes: count(d.likes), saves: count(d.saves), shares: count(d.shares) }),
+    image: (d) => d.thumbnailUrl || d.imageUrl || '',
+    editUrl: (id) => `edit-image.html?id=${encodeURIComponent(id)}`,
+  },
+  recentItems: {
+    select: ['title', 'category', 'tags', 'createdAt', 'uploadDate', 'stats', 'thumbnail', 'image'],
+    counters: (d) => ({ views: count(d.stats?.views), likes: 0, saves: count(d.stats?.saves), shares: count(d.stats?.shares) }),
+    image: (d) => d.thumbnail || d.image || '',
+    editUrl: (id) => `edit.html?id=${encodeURIComponent(id)}`,
+  },
+};
+
+const emptyTotals = () => ({ docs: 0, views: 0, likes: 0, saves: 0, shares: 0, engagement: 0 });
+
+const engagementOf = (c) => c.likes + c.saves + c.shares;
+
+function addTo(totals, c) {
+  totals.docs++;
+  for (const k of COUNTERS) totals[k] += c[k];
+  totals.engagement += engagementOf(c);
+}
+
+// createdAt (ISO string or Timestamp), else uploadDate; '' when neither is a date
+function createdOf(d) {
+  const v = d.createdAt;
+  if (typeof v?.toDate === 'function') return v.toDate().toISOString();
+  for (const s of [v, d.uploadDate]) {
+    if (typeof s === 'string' && Number.isFinite(Date.parse(s))) return new Date(s).toISOString();
+  }
+  return '';
+}
+
+const tagsOf = (d) => (Array.isArray(d.tags) ? d.tags : String(d.tags || '').split(',')).map((t) => String(t).trim()).filter(Boolean);
+
+const groupKeys = (groupBy, d) => {
+  if (groupBy === 'tag') {
+    const tags = tagsOf(d);
+    return tags.length ? [...new Set(tags)] : [NONE];
+  }
+  return [(groupBy === 'uploader' ? d.uploadedBy : d.category) || NONE];
+};
+
+// Docs of `colName` as { id, data, created, counters }, narrowed to `category` (in the
+// query), `tag` and createdAt in [from, to) (in memory, so no composite index is needed).
+// NONE as category or tag means the docs without one.
+async function engagementDocs(colName, { category, tag, from, to } = {}) {
+  const spec = ANALYZED[colName];
+  let qy = db.collection(colName);
+  if (category && category !== NONE) qy = qy.where('category', '==', category);
+  const snap = await qy.select(...spec.select).get();
+  return snap.docs
+    .map((d) => {
+      const data = d.data() || {};
+      return { id: d.id, data, created: createdOf(data), counters: spec.counters(data) };
+    })
+    .filter(
+      (x) =>
+        (category !== NONE || !x.data.category) &&
+        (!tag || (tag === NONE ? !tagsOf(x.data).length : tagsOf(x.data).includes(tag))) &&
+        (!from || x.created >= from) &&
+        (!to || (x.created && x.created < to))
+    );
+}
+
+// { totals, groups: [{ key, ...totals }], top: [{ id, title, ... }] }; groups and top are
+// sorted by `metric`, highest first, and cut to `limit` and `top`.
+async function summarize(colName, { groupBy = 'category', metric = 'views', top = 10, limit = 50, ...filters } = {}) {
+  const docs = await engagementDocs(colName, filters);
+  const spec = ANALYZED[colName];
+  const totals = emptyTotals();
+  const groups = new Map();
+  for (const x of docs) {
+    addTo(totals, x.counters);
+    for (const key of groupKeys(groupBy, x.data)) {
+      if (!groups.has(key)) groups.set(key, emptyTotals());
+      addTo(groups.get(key), x.counters);
+    }
+  }
+  const byMetric = (a, b) => b[metric] - a[metric] || b.docs - a.docs;
+  return {
+    totals,
+    groups: [...groups].map(([key, t]) => ({ key, ...t })).sort(byMetric).slice(0, limit),
+    top: docs
+      .map((x) => ({
+        id: x.id,
+        title: x.data.title || '',
+        category: x.data.category || '',
+        image: spec.image(x.data),
+        editUrl: spec.editUrl(x.id),
+        createdAt: x.created || null,
+        ...x.counters,
+        engagement: engagementOf(x.counters),
+      }))
+      .sort(byMetric)
+      .slice(0, top),
+  };
+}
+
+/* ---- snapshots ---- */
+const today = (now = new Date()) => now.toISOString().slice(0, 10);
+
+// Writes (or rewrites) today's snapshot: per collection, the totals and the totals per
+// category. Returns the snapshot.
+async function takeSnapshot(now = new Date()) {
+  const collections = {};
+  for (const colName of Object.keys(ANALYZED)) {
+    const totals = emptyTotals();
+    const byCategory = {};
+    for (const x of await engagementDocs(colName)) {
+      addTo(totals, x.counters);
+      addTo((byCategory[x.data.category || NONE] ??= emptyTotals()), x.counters);
+    }
+    collections[colName] = { totals, byCategory };
+  }
+  const snapshot = { date: today(now), takenAt: now.toISOString(), collections };
+  await db.collection(COL_SNAPSHOTS).doc(snapshot.date).set(snapshot);
+  return snapshot;
+}
+
+// Takes today's snapshot unless there already is one. Returns it when taken, else null.
+async function snapshotIfDue(now = new Date()) {
+  const snap = await db.collection(COL_SNAPSHOTS).doc(today(now)).get();
+  return snap.exists ? null : takeSnapshot(now);
+}
+
+// [{ date, totals, change }] for the snapshots with date in [from, to] (YYYY-MM-DD), oldest
+// first. totals are those of `category` when given; change is the difference to the
+// snapshot before it, null when there is none.
+async function trend(colName, { from, to, category } = {}) {
+  const prevSnap = await db.collection(COL_SNAPSHOTS).where('date', '<', from).orderBy('date', 'desc').limit(1).get();
+  const snap = await db.collection(COL_SNAPSHOTS).where('date', '>=', from).where('date', '<=', to).orderBy('date').get();
+  const totalsOf = (d) => {
+    const c = d.get('collections')?.[colName];
+    return { ...emptyTotals(), ...(category ? c?.byCategory?.[category] : c?.totals) };
+  };
+  let prev = prevSnap.empty ? null : totalsOf(prevSnap.docs[0]);
+  return snap.docs.map((d) => {
+    const totals = totalsOf(d);
+    const change = prev ? Object.fromEntries(Object.keys(totals).map((k) => [k, totals[k] - prev[k]])) : null;
+    prev = totals;
+    return { date: d.get('date'), totals, change };
+  });
+}
+
+export { COL_SNAPSHOTS, ANALYZED, COUNTERS, METRICS, GROUP_BY, NONE, summarize, takeSnapshot, snapshotIfDue, trend };
@@ -0,0 +1,87 @@
+import { db } from './firebase.js';
+
+/* =======================================================================================
+ * Audit log — one auditLog doc per write made through the panel
+ *   { collection, docId, itemId?, action, before, after, at, user }
+ * delete moves recentItems/images/aiCards docs to the trash; restore and purge act on it.
+ * `before` / `after` are the raw Firestore data (null when the doc did not / no longer exists).
+ * For basics/recreate items docId is the group and itemId the item.
+ * ======================================================================================= */
+const COL_AUDIT = 'auditLog';
+const ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+const snapData = (v) => {
+  if (v == null) return null;
+  if (typeof v.exists === 'boolean') return v.exists ? v.data() : null; // DocumentSnapshot
+  return v;
+};
+
+function auditEntry(req, { collection, docId, itemId, action, before, after }) {
+  const u = req?.user;
+  return {
+    collection,
+    docId: String(docId),
+    ...(itemId != null ? { itemId: String(itemId) } : {}),
+    action,
+    before: snapData(before),
+    after: snapData(after),
+    at: new Date().toISOString(),
+    user: u ? { uid: u.uid, email: u.email || '', role: u.role } : null,
+  };
+}
+
+// The write itself already happened, so a failing audit write is logged, not rethrown.
+async function recordAudit(req, change) {
+  try {
+    await db.collection(COL_AUDIT).add(auditEntry(req, change));
+  } catch (e) {
+    console.error('AUDIT ERROR', e);
+  }
+}
+
+// For bulk writes: adds the entries to an existing batch (each counts as one write).
+function batchAudit(batch, req, change) {
+  batch.set(db.collection(COL_AUDIT).doc(), auditEntry(req, change));
+}
+
+const matches = (e, { collection, docId, action, uid }) =>
+  (!collection || e.collection === collection) &&
+  (!docId || e.docId === docId) &&
+  (!action || e.action === action) &&
+  (!uid || e.user?.uid === uid);
+
+// Newest first. `from` / `to` are ISO strings (a bare date works too: "2025-08-10").
+// Filtering on `at` alone needs no composite index; the other filters are applied in memory.
+async function queryAudit({ collection, docId, action, uid, from, to, limit = 50, cursor } = {}) {
+  const SCAN = 200;
+  const MAX_SCANS = 10;
+  let qy = db.collection(COL_AUDIT).orderBy('at', 'desc');
+  if (from) qy = qy.where('at', '>=', from);
+  if (to) qy = qy.where('at', '<=', to.length === 10 ? `${to}T23:59:59.999Z` : to);
+
+  let after = null;
+  if (cursor) {
+    after = await db.collection(COL_AUDIT).doc(String(cursor)).get();
+    if (!after.exists) throw Object.assign(new Error('Invalid cursor'), { status: 400 });
+  }
+
+  const entries = [];
+  let nextCursor = null;
+  for (let scans = 0; scans < MAX_SCANS; scans++) {
+    const snap = await (after ? qy.startAfter(after) : qy).limit(SCAN).get();
+    for (const d of snap.docs) {
+      after = d;
+      if (!matches(d.data(), { collection, docId, action, uid })) continue;
+      entries.push({ id: d.id, ...d.data() });
+      if (entries.length === limit) break;
+    }
+    if (entries.length === limit || snap.size < SCAN) {
+      nextCursor = entries.length === limit ? after.id : null;
+      break;
+    }
+    nextCursor = after?.id ?? null; // scan budget used up: let the client continue from here
+  }
+  return { entries, nextCursor };
+}
+
+export { COL_AUDIT, ACTIONS, recordAudit, batchAudit, queryAudit };
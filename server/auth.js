@@ -0,0 +1,109 @@
+import { admin, db } from './firebase.js';
+
+/* =======================================================================================
+ * Panel authentication — Firebase ID tokens + roles
+ *
+ * The dashboard signs users in with the Firebase client SDK and sends the ID token as
+ * `Authorization: Bearer <token>`. A user's role comes from (first match wins):
+ *   1. the `role` custom claim on the token
+ *   2. panelUsers/{uid}.role
+ *   3. PANEL_ADMIN_EMAILS (comma list) — bootstrap admins before any panelUsers exist; only
+ *      for a verified email, since anyone can register an unverified address
+ * ======================================================================================= */
+const COL_USERS = 'panelUsers';
+const ROLES = ['viewer', 'editor', 'admin'];
+const ROLE_CACHE_MS = 60 * 1000;
+
+const bootstrapAdmins = (process.env.PANEL_ADMIN_EMAILS || '')
+  .split(',')
+  .map((e) => e.trim().toLowerCase())
+  .filter(Boolean);
+
+const roleCache = new Map(); // uid -> { role, at }
+
+const rank = (role) => ROLES.indexOf(role);
+
+async function resolveRole(decoded) {
+  if (ROLES.includes(decoded.role)) return decoded.role;
+
+  const cached = roleCache.get(decoded.uid);
+  if (cached && Date.now() - cached.at < ROLE_CACHE_MS) return cached.role;
+
+  const snap = await db.collection(COL_USERS).doc(decoded.uid).get();
+  let role = snap.exists && ROLES.includes(snap.get('role')) ? snap.get('role') : null;
+  if (!role && decoded.email && decoded.email_verified === true && bootstrapAdmins.includes(decoded.email.toLowerCase())) {
+    role = 'admin';
+  }
+
+  roleCache.set(decoded.uid, { role, at: Date.now() });
+  return role;
+}
+
+const bearerToken = (req) => {
+  const h = req.get('authorization') || '';
+  return h.startsWith('Bearer ') ? h.slice(7).trim() : '';
+};
+
+// Route guard: verifies the ID token and requires at least `minRole`. Sets req.user.
+function requireRole(minRole) {
+  if (!ROLES.includes(minRole)) throw new Error(`Unknown role "${minRole}"`);
+  return async (req, res, next) => {
+    const token = bearerToken(req);
+    if (!token) return res.status(401).json({ ok: false, error: 'Authentication required' });
+
+    let decoded;
+    try {
+      decoded = await admin.auth().verifyIdToken(token);
+    } catch {
+      return res.status(401).json({ ok: false, error: 'Invalid or expired token' });
+    }
+
+    try {
+      const role = await resolveRole(decoded);
+      if (!role) return res.status(403).json({ ok: false, error: 'No panel access for this account' });
+      req.user = { uid: decoded.uid, email: decoded.email || '', role };
+      if (rank(role) < rank(minRole)) {
+        return res.status(403).json({ ok: false, error: `Requires ${minRole} role` });
+      }
+      next();
+    } catch (e) {
+      console.error('AUTH ERROR', e);
+      res.status(500).json({ ok: false, error: 'Auth check failed' });
+    }
+  };
+}
+
+// Route guard for the client app's routes: a valid ID token sets req.user ({ uid, email }),
+// no token leaves it null, and a bad token is a 401. Panel roles are not looked up.
+function optionalUser() {
+  return async (req, res, next) => {
+    const token = bearerToken(req);
+    req.user = null;
+    if (!token) return next();
+    try {
+      const decoded = await admin.auth().verifyIdToken(token);
+      req.user = { uid: decoded.uid, email: decoded.email || '' };
+    } catch {
+      return res.status(401).json({ ok: false, error: 'Invalid or expired token' });
+    }
+    next();
+  };
+}
+
+async function setUserRole(uid, role, email) {
+  if (!ROLES.includes(role)) throw new Error(`role must be one of ${ROLES.join(', ')}`);
+  await db.collection(COL_USERS).doc(uid).set(
+    { role, ...(email ? { email } : {}), updatedAt: new Date().toISOString() },
+    { merge: true }
+  );
+  roleCache.delete(uid);
+}
+
+// Client SDK config for web/login.html; these values are public by design.
+const webConfig = () => ({
+  apiKey: process.env.FIREBASE_WEB_API_KEY || '',
+  authDomain: process.env.FIREBASE_AUTH_DOMAIN || `${process.env.FIREBASE_PROJECT_ID}.firebaseapp.com`,
+  projectId: process.env.FIREBASE_PROJECT_ID,
+});
+
+export { COL_USERS, ROLES, requireRole, optionalUser, setUserRole, webConfig };
@@ -0,0 +1,250 @@
+import { admin, db } from './firebase.js';
+import { batchAudit } from './audit.js';
+import { recordRevisions } from './revisions.js';
+
+/* =======================================================================================
+ * Categories
+ *
+ * categories/{id}: { name, slug, parentId, order, icon, cover, scope }
+ *   parentId  null for a top-level category; the tree may nest to any depth
+ *   order     position among its siblings
+ *   scope     content types the category applies to; empty means all of them
+ *
+ * recentItems, images and aiCards reference a category by its `name` (the string stored in
+ * their `category` field). Writes must use an existing name that is in scope for the
+ * collection; renaming a category rewrites every referencing doc, and a category still in
+ * use can only be deleted by moving its docs to another category first.
+ *
+ * A rename stores the old name in `movingFrom` together with the new name, then moves the
+ * docs. Until they are all moved the old name still counts as the category (same scope), and
+ * if the move stops partway any later PUT of the category picks it up again. A scope may
+ * only shrink once no doc of the excluded content types uses the category.
+ * ======================================================================================= */
+const COL_CATEGORIES = 'categories';
+const CATEGORIZED = ['recentItems', 'images', 'aiCards'];
+const CATEGORY_SCOPES = ['recentItems', 'images', 'aiCards', 'basics', 'recreate'];
+const MOVE_CHUNK = 200; // docs per batch: each one is an update plus an audit entry
+
+// Field types accepted by sanitizeCategory (see validate.js)
+const CATEGORY_FIELDS = {
+  name: 'string',
+  slug: 'string',
+  parentId: 'string',
+  order: 'number',
+  icon: 'string',
+  cover: 'url',
+  scope: 'tags',
+};
+
+const slugify = (s) =>
+  String(s ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// Only the fields present in body, so it serves both create and partial update.
+function sanitizeCategory(body = {}) {
+  const out = {};
+  if (body.name != null) out.name = String(body.name).trim();
+  if (body.slug != null) out.slug = slugify(body.slug);
+  if (body.parentId !== undefined) out.parentId = body.parentId ? String(body.parentId) : null;
+  if (body.order != null && Number.isFinite(Number(body.order))) out.order = Number(body.order);
+  if (body.icon != null) out.icon = String(body.icon).trim();
+  if (body.cover != null) out.cover = String(body.cover).trim();
+  if (body.scope != null) {
+    const list = Array.isArray(body.scope) ? body.scope : String(body.scope).split(',');
+    out.scope = [...new Set(list.map((t) => String(t).trim()).filter(Boolean))];
+  }
+  return out;
+}
+
+// Stored docs with the defaults filled in (older docs only have `name`).
+const shapeCategory = (d) => {
+  const data = d.data() || {};
+  return {
+    id: d.id,
+    ...data,
+    slug: data.slug || slugify(data.name),
+    parentId: data.parentId || null,
+    order: Number.isFinite(data.order) ? data.order : 0,
+    icon: data.icon || '',
+    cover: data.cover || '',
+    scope: Array.isArray(data.scope) ? data.scope : [],
+  };
+};
+
+async function allCategories() {
+  const snap = await db.collection(COL_CATEGORIES).get();
+  return snap.docs.map(shapeCategory);
+}
+
+const byOrder = (a, b) => a.order - b.order || String(a.name).localeCompare(String(b.name));
+
+// Returns [{ path, message }] for `next` (the category as it would be saved) against the
+// other categories: unique name and slug, a known and non-circular parent, known scopes.
+function categoryErrors(next, id, cats) {
+  const errors = [];
+  const others = cats.filter((c) => c.id !== id);
+  if (!next.name) errors.push({ path: 'name', message: 'is required' });
+  if (others.some((c) => c.name === next.name || movingFrom(c).includes(next.name))) {
+    errors.push({ path: 'name', message: `"${next.name}" already exists` });
+  }
+  if (!next.slug) errors.push({ path: 'slug', message: 'is required' });
+  if (others.some((c) => c.slug === next.slug)) errors.push({ path: 'slug', message: `"${next.slug}" is already used` });
+  const bad = (next.scope || []).filter((t) => !CATEGORY_SCOPES.includes(t));
+  if (bad.length) errors.push({ path: 'scope', message: `unknown content type(s) ${bad.join(', ')}` });
+
+  if (next.parentId) {
+    const parents = new Map(cats.map((c) => [c.id, c.parentId]));
+    if (id) parents.set(id, next.parentId);
+    if (!parents.has(next.parentId)) errors.push({ path: 'parentId', message: 'unknown parent category' });
+    else {
+      // walk up from the new parent; reaching this category again means a cycle
+      const seen = new Set();
+      for (let p = next.parentId; p; p = parents.get(p)) {
+        if (p === id || seen.has(p)) {
+          errors.push({ path: 'parentId', message: 'a category cannot be nested inside itself' });
+          break;
+        }
+        seen.add(p);
+      }
+    }
+  }
+  return errors;
+}
+
+// Nested [{ ...category, children: [] }], siblings sorted by order. With `scope`, categories
+// outside it are left out and their children move up to the nearest kept ancestor.
+function buildTree(cats, scope) {
+  const inScope = (c) => !scope || !c.scope.length || c.scope.includes(scope);
+  const byId = new Map(cats.map((c) => [c.id, { ...c, children: [] }]));
+  const keptParent = (c) => {
+    const seen = new Set();
+    for (let p = c.parentId; p && byId.has(p) && !seen.has(p); p = byId.get(p).parentId) {
+      seen.add(p);
+      if (inScope(byId.get(p))) return byId.get(p);
+    }
+    return null;
+  };
+  const roots = [];
+  for (const node of byId.values()) {
+    if (!inScope(node)) continue;
+    (keptParent(node)?.children ?? roots).push(node);
+  }
+  const sort = (list) => list.sort(byOrder).forEach((n) => sort(n.children));
+  sort(roots);
+  return roots;
+}
+
+const badCategory = (message) => Object.assign(new Error(message), { status: 400, path: 'category' });
+
+// Old names of a category whose rename is still moving docs (data or shaped category)
+const movingFrom = (data) => (Array.isArray(data?.movingFrom) ? data.movingFrom : []);
+
+// name -> scope, for assertCategory. Old names still being moved map to the same scope.
+async function categoryScopes() {
+  const snap = await db.collection(COL_CATEGORIES).select('name', 'scope', 'movingFrom').get();
+  const scopes = new Map();
+  for (const d of snap.docs.filter((d) => d.get('name'))) {
+    const scope = Array.isArray(d.get('scope')) ? d.get('scope') : [];
+    for (const name of [...movingFrom(d.data()), d.get('name')]) scopes.set(name, scope);
+  }
+  return scopes;
+}
+
+// Throws a 400 unless `value` is a category name in scope for `colName`. The doc's stored
+// value (`current`) is let through unchanged, so docs that predate the check stay editable.
+function assertCategory(scopes, value, current, colName) {
+  if (value === undefined || value === '' || value === current) return;
+  if (!scopes.has(value)) throw badCategory(`Unknown category "${value}"`);
+  const scope = scopes.get(value);
+  if (colName && scope.length && !scope.includes(colName)) {
+    throw badCategory(`Category "${value}" does not apply to ${colName}`);
+  }
+}
+
+// { recentItems: n, images: n, aiCards: n, total: n }
+async function categoryUsage(name) {
+  const counts = await Promise.all(
+    CATEGORIZED.map(async (c) => (await db.collection(c).where('category', '==', name).count().get()).data().count)
+  );
+  const usage = Object.fromEntries(CATEGORIZED.map((c, i) => [c, counts[i]]));
+  usage.total = counts.reduce((a, b) => a + b, 0);
+  return usage;
+}
+
+// [{ path: 'scope', message }] when `scope` leaves out content types whose docs use one of
+// `names` (the category's name and any old names still being moved).
+async function scopeErrors(names, scope) {
+  if (!scope?.length) return [];
+  const excluded = CATEGORIZED.filter((c) => !scope.includes(c));
+  const counts = await Promise.all(
+    excluded.map(async (c) => (await db.collection(c).where('category', 'in', names).count().get()).data().count)
+  );
+  return excluded
+    .map((c, i) => [c, counts[i]])
+    .filter(([, n]) => n)
+    .map(([c, n]) => ({ path: 'scope', message: `${n} ${c} doc(s) still use this category; move them before leaving ${c} out` }));
+}
+
+// Points every doc in `from` at `to`. Returns the number of docs moved per collection.
+async function moveCategory(req, from, to) {
+  const moved = {};
+  for (const colName of CATEGORIZED) {
+    moved[colName] = 0;
+    for (;;) {
+      const snap = await db.collection(colName).where('category', '==', from).limit(MOVE_CHUNK).get();
+      if (snap.empty) break;
+      const batch = db.batch();
+      const changes = snap.docs.map((d) => {
+        batch.update(d.ref, { category: to });
+        const after = { ...d.data(), category: to };
+        batchAudit(batch, req, { collection: colName, docId: d.id, action: 'update', before: d, after });
+        return { docId: d.id, action: 'update', before: d, after };
+      });
+      await batch.commit();
+      if (colName === 'recentItems') await recordRevisions(req, colName, changes);
+      moved[colName] += snap.size;
+      if (snap.size < MOVE_CHUNK) break;
+    }
+  }
+  return moved;
+}
+
+// Moves the docs still on the old names of the category at `ref` (see `movingFrom`) to its
+// current name, dropping each old name once its docs are all moved. Safe to repeat.
+// Returns the number of docs moved per collection, or null when nothing was pending.
+async function finishRename(req, ref) {
+  const snap = await ref.get();
+  const pending = movingFrom(snap.data());
+  if (!pending.length) return null;
+  const moved = Object.fromEntries(CATEGORIZED.map((c) => [c, 0]));
+  for (const from of pending) {
+    const done = await moveCategory(req, from, snap.get('name'));
+    for (const c of CATEGORIZED) moved[c] += done[c];
+    await ref.update({ movingFrom: admin.firestore.FieldValue.arrayRemove(from) });
+  }
+  return moved;
+}
+
+export {
+  COL_CATEGORIES,
+  CATEGORIZED,
+  CATEGORY_SCOPES,
+  CATEGORY_FIELDS,
+  slugify,
+  sanitizeCategory,
+  shapeCategory,
+  allCategories,
+  categoryErrors,
+  buildTree,
+  categoryScopes,
+  assertCategory,
+  categoryUsage,
+  movingFrom,
+  scopeErrors,
+  moveCategory,
+  finishRename,
+};
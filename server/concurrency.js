@@ -0,0 +1,60 @@
+import { createHash } from 'crypto';
+import { db } from './firebase.js';
+import { ENGAGEABLE, withCountersFrom } from './engagement.js';
+
+/* =======================================================================================
+ * Optimistic concurrency
+ *
+ * Shaped docs carry `version` (the Firestore updateTime) and single-doc responses an ETag.
+ * Docs with engagement counters (see engagement.js) are bumped by every view and like, so
+ * their version is a hash of the doc without the counters instead: only edits change it.
+ * Clients send it back as `If-Match: "<version>"`; a PUT whose version is stale fails with
+ * 409 and the current state. Without If-Match the write is unconditional, as before.
+ * ======================================================================================= */
+// JSON with object keys sorted, so equal data always gives the same string. Timestamps and
+// other Firestore values stand in as their path or valueOf().
+const stable = (v) => {
+  if (Array.isArray(v)) return `[${v.map(stable).join(',')}]`;
+  if (!v || typeof v !== 'object') return JSON.stringify(v) ?? 'null';
+  if (Object.getPrototypeOf(v) !== Object.prototype) return JSON.stringify(String(v.path ?? v.valueOf()));
+  return `{${Object.keys(v).sort().map((k) => `${JSON.stringify(k)}:${stable(v[k])}`).join(',')}}`;
+};
+
+const contentHash = (snap) =>
+  createHash('sha1').update(stable(withCountersFrom(snap.ref.parent.id, snap.data(), null))).digest('hex').slice(0, 20);
+
+const versionOf = (snap) => {
+  const t = snap?.updateTime;
+  if (!t) return null;
+  return ENGAGEABLE[snap.ref?.parent?.id] ? contentHash(snap) : `${t.seconds}.${String(t.nanoseconds).padStart(9, '0')}`;
+};
+
+const etag = (version) => `"${version}"`;
+
+// The version the client last saw, or null when it did not send one (or sent `*`).
+function expectedVersion(req) {
+  const h = String(req.get('If-Match') || '').trim();
+  if (!h || h === '*') return null;
+  return h.replace(/^W\//, '').replace(/^"|"$/g, '');
+}
+
+// `current` is the snapshot the client should reload.
+const conflict = (current) =>
+  Object.assign(new Error('Version conflict: this was changed by someone else. Reload and retry.'), {
+    status: 409,
+    current,
+  });
+
+// Runs `write(tx, snap)` in a transaction once If-Match agrees with the doc's version.
+// Resolves to the snapshot read inside the transaction, i.e. the state before the write.
+async function writeIfMatch(req, ref, write) {
+  const expected = expectedVersion(req);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (expected && versionOf(snap) !== expected) throw conflict(snap);
+    await write(tx, snap);
+    return snap;
+  });
+}
+
+export { versionOf, etag, expectedVersion, conflict, writeIfMatch };
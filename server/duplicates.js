@@ -0,0 +1,167 @@
+import { db } from './firebase.js';
+import { batchAudit } from './audit.js';
+import { recordRevisions } from './revisions.js';
+import { SEARCHABLE, indexDoc, unindexDoc } from './search.js';
+import { trashInto } from './trash.js';
+import { ENGAGEABLE } from './engagement.js';
+import { normTags, countTags } from './tags.js';
+import { parseInstagramUrl, urlVariants } from './instagram.js';
+
+/* =======================================================================================
+ * Duplicate detection for recentItems and images
+ *
+ * Two docs are the same content when they share a source URL or the legacy `id`:
+ *   recentItems  instagramUrl (any link form of the same post), id
+ *   images       imageUrl, id
+ * findDuplicate() is what the create routes ask before writing (index.js answers 409 with
+ * the stored doc unless ?force=true); duplicateGroups() is the report of the collisions
+ * already stored. mergeDuplicates() keeps one doc of a group: it takes over what the others
+ * have and it lacks, adds up their counters and joins their tags, and the others go to the
+ * trash.
+ * ======================================================================================= */
+const DEDUPED = {
+  recentItems: ['instagramUrl', 'id'],
+  images: ['imageUrl', 'id'],
+};
+const MERGE_MAX = 20; // docs per merge, the kept one included
+
+const httpError = (status, message, extra) => Object.assign(new Error(message), { status }, extra);
+
+const postCode = (url) => {
+  try {
+    return parseInstagramUrl(url).code;
+  } catch {
+    return null;
+  }
+};
+
+// The value two docs collide on: the post code for Instagram links, else the trimmed string.
+function keyOf(field, value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const v = value.trim();
+  return field === 'instagramUrl' ? postCode(v) ?? v : v;
+}
+
+// [{ field, key }] for each deduped field `data` has a value in (a doc's data or a payload).
+const sourceKeys = (colName, data) =>
+  (DEDUPED[colName] || []).map((field) => ({ field, key: keyOf(field, data?.[field]) })).filter((s) => s.key);
+
+// Whether two docs' data share a source URL or legacy id.
+const sameSource = (colName, a, b) =>
+  sourceKeys(colName, a).some(({ field, key }) => keyOf(field, b?.[field]) === key);
+
+// The stored values matching `value` (at most 30, for an 'in' query).
+function variantsOf(field, value) {
+  const v = value.trim();
+  if (field === 'instagramUrl') {
+    const code = postCode(v);
+    if (code) return urlVariants(value, { code });
+  }
+  return [...new Set([value, v])];
+}
+
+// { field, snap } of a stored doc of `colName` with the same source as `payload` (other
+// than `exceptId`), or null.
+async function findDuplicate(colName, payload, exceptId) {
+  for (const field of DEDUPED[colName] || []) {
+    if (!keyOf(field, payload[field])) continue;
+    const snap = await db.collection(colName).where(field, 'in', variantsOf(field, payload[field])).limit(2).get();
+    const dup = snap.docs.find((d) => d.id !== exceptId);
+    if (dup) return { field, snap: dup };
+  }
+  return null;
+}
+
+// [{ field, value, docs: [snap, ...] }] for every value two or more docs share, oldest doc
+// first in each group; a pair sharing both fields is listed under each.
+async function duplicateGroups(colName) {
+  const fields = DEDUPED[colName];
+  const snap = await db.collection(colName).select(...fields, 'createdAt').get();
+  const created = (d) => String(d.get('createdAt')?.toDate?.().toISOString() ?? d.get('createdAt') ?? '');
+  const groups = [];
+  for (const field of fields) {
+    const byKey = new Map();
+    for (const d of snap.docs) {
+      const key = keyOf(field, d.get(field));
+      if (key) byKey.set(key, [...(byKey.get(key) || []), d]);
+    }
+    for (const [value, docs] of byKey) {
+      if (docs.length < 2) continue;
+      groups.push({ field, value, ids: docs.sort((a, b) => created(a).localeCompare(created(b))).map((d) => d.id) });
+    }
+  }
+  const ids = [...new Set(groups.flatMap((g) => g.ids))];
+  const full = ids.length ? await db.getAll(...ids.map((id) => db.collection(colName).doc(id))) : [];
+  const byId = new Map(full.map((d) => [d.id, d]));
+  return groups.map((g) => ({ field: g.field, value: g.value, docs: g.ids.map((id) => byId.get(id)).filter((d) => d?.exists) }));
+}
+
+const blank = (v) => v == null || v === '' || (Array.isArray(v) && !v.length) || (typeof v === 'object' && !Array.isArray(v) && !Object.keys(v).length);
+const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+
+// The fields `keep` gets from `others`: top-level fields it has blank, the union of the tags
+// and the sum of the engagement counters.
+function mergedFields(colName, keep, others) {
+  const data = keep.data();
+  const patch = {};
+  for (const o of others) {
+    for (const [k, v] of Object.entries(o.data())) {
+      if (blank(data[k]) && patch[k] === undefined && !blank(v)) patch[k] = v;
+    }
+  }
+  const tags = normTags([data.tags, ...others.map((o) => o.get('tags'))].flatMap((t) => normTags(t)));
+  if (tags.length) patch.tags = tags;
+  const spec = ENGAGEABLE[colName];
+  for (const counter of spec.counters) {
+    const path = spec.field(counter);
+    const total = [keep, ...others].reduce((n, d) => n + num(d.get(path)), 0);
+    const [top, sub] = path.split('.');
+    if (sub) patch[top] = { ...(data[top] || {}), ...(patch[top] || {}), [sub]: total };
+    else patch[top] = total;
+  }
+  return patch;
+}
+
+// Merges the docs `ids` of `colName` into `keepId` and trashes them, in one transaction.
+// Each must share a source URL or legacy id with the kept doc (a 400 otherwise).
+// Returns { before, after } of the kept doc. Per-user likes / saves of the trashed docs are
+// not carried over.
+async function mergeDuplicates(req, colName, keepId, ids) {
+  const col = db.collection(colName);
+  const others = [...new Set(ids.map(String))].filter((id) => id && id !== keepId);
+  if (!others.length) throw httpError(400, 'must list the duplicates to merge into keep', { path: 'ids' });
+  if (others.length + 1 > MERGE_MAX) throw httpError(400, `at most ${MERGE_MAX - 1} duplicates per merge`, { path: 'ids' });
+
+  let before;
+  let after;
+  let dropped;
+  await db.runTransaction(async (tx) => {
+    const [keep, ...rest] = await tx.getAll(col.doc(keepId), ...others.map((id) => col.doc(id)));
+    const missing = [keep, ...rest].filter((d) => !d.exists).map((d) => d.id);
+    if (missing.length) throw httpError(404, `Not found: ${missing.join(', ')}`);
+    const unrelated = rest.filter((d) => !sameSource(colName, keep.data(), d.data())).map((d) => d.id);
+    if (unrelated.length) {
+      throw httpError(400, `Not duplicates of ${keepId} (no shared ${DEDUPED[colName].join(' or ')}): ${unrelated.join(', ')}`, { path: 'ids' });
+    }
+    const patch = mergedFields(colName, keep, rest);
+    tx.set(keep.ref, patch, { merge: true });
+    before = keep;
+    after = { ...keep.data(), ...patch };
+    batchAudit(tx, req, { collection: colName, docId: keepId, action: 'update', before: keep, after });
+    for (const d of rest) {
+      trashInto(tx, colName, d, req.user);
+      batchAudit(tx, req, { collection: colName, docId: d.id, action: 'delete', before: d, after: null });
+    }
+    dropped = rest;
+  });
+
+  if (SEARCHABLE.includes(colName)) {
+    await indexDoc(colName, await col.doc(keepId).get());
+    await Promise.all(dropped.map((d) => unindexDoc(colName, d.id)));
+  }
+  await countTags(colName, [{ before, after }, ...dropped.map((d) => ({ before: d, after: null }))]);
+  if (colName === 'recentItems') await recordRevisions(req, colName, [{ docId: keepId, action: 'update', before, after }]);
+  return { before, after };
+}
+
+export { DEDUPED, sourceKeys, findDuplicate, duplicateGroups, mergeDuplicates };
@@ -0,0 +1,132 @@
+import { admin, db } from './firebase.js';
+import { statusOf } from './publishing.js';
+
+/* =======================================================================================
+ * Engagement counters for the client app
+ *
+ * Counters change by atomic increments instead of absolute values:
+ *   views, shares  +1 per report, anonymous allowed
+ *   likes, saves   one per user: a record engagements/{collection}__{docId}__{counter}__{uid}
+ *                  { collection, docId, counter, uid, at } says who liked / saved what, so
+ *                  repeating a like changes nothing and un-liking takes exactly one off
+ * Only published docs can be engaged with. The counters are stored where the panel shows
+ * them (images: likes, saves, shares, views; recentItems: stats.views / saves / shares).
+ * These writes are not audited, and the panel and imports never write the counters: they
+ * are read-only there and left out of the doc version (see concurrency.js).
+ * ======================================================================================= */
+const COL_ENGAGEMENTS = 'engagements';
+const PER_USER = ['likes', 'saves'];
+
+const ENGAGEABLE = {
+  images: { counters: ['views', 'likes', 'saves', 'shares'], field: (counter) => counter },
+  recentItems: { counters: ['views', 'saves', 'shares'], field: (counter) => `stats.${counter}` },
+};
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const engagementId = (colName, docId, counter, uid) => `${colName}__${docId}__${counter}__${uid}`;
+
+const valueAt = (data, path) => {
+  const v = path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), data);
+  return Number.isFinite(Number(v)) ? Number(v) : 0;
+};
+
+// Copy of `data` with each counter of `colName` replaced by its value in `from`, or removed
+// when `from` is null (top level or one map down, e.g. stats.views). Other data passes as is.
+function withCountersFrom(colName, data, from) {
+  const spec = ENGAGEABLE[colName];
+  if (!spec || !data) return data;
+  const out = { ...data };
+  for (const counter of spec.counters) {
+    const [key, sub] = spec.field(counter).split('.');
+    const value = from ? valueAt(from, spec.field(counter)) : undefined;
+    if (!sub) {
+      if (value === undefined) delete out[key];
+      else out[key] = value;
+    } else {
+      out[key] = out[key] && typeof out[key] === 'object' ? { ...out[key] } : {};
+      if (value === undefined) delete out[key][sub];
+      else out[key][sub] = value;
+      if (!Object.keys(out[key]).length) delete out[key];
+    }
+  }
+  return out;
+}
+
+// Throws a 400 unless `counter` is one `colName` has.
+function assertCounter(colName, counter) {
+  const spec = ENGAGEABLE[colName];
+  if (!spec) throw httpError(400, `collection must be one of ${Object.keys(ENGAGEABLE).join(', ')}`);
+  if (!spec.counters.includes(counter)) throw httpError(400, `${colName} counters are ${spec.counters.join(', ')}`);
+  return spec;
+}
+
+function assertEngageable(colName, snap) {
+  if (!snap.exists || statusOf(colName, snap.data()) !== 'published') throw httpError(404, 'Not found');
+}
+
+// views / shares: adds one. Returns { counted, value }.
+async function countOnce(colName, docId, counter) {
+  const { field } = assertCounter(colName, counter);
+  if (PER_USER.includes(counter)) throw httpError(400, `${counter} are per user; use set/unset`);
+  const ref = db.collection(colName).doc(docId);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    assertEngageable(colName, snap);
+    tx.update(ref, { [field]: admin.firestore.FieldValue.increment(1) });
+    return { counted: true, value: valueAt(snap.data(), field) + 1 };
+  });
+}
+
+// likes / saves: `on` records the user's like (once) and counts it; !on removes it.
+// Returns { counted, value, on } — counted is false when the user's state did not change.
+async function setPerUser(colName, docId, counter, uid, on) {
+  const { field } = assertCounter(colName, counter);
+  if (!PER_USER.includes(counter)) throw httpError(400, `${counter} can only be counted up`);
+  const ref = db.collection(colName).doc(docId);
+  const recordRef = db.collection(COL_ENGAGEMENTS).doc(engagementId(colName, docId, counter, uid));
+  return db.runTransaction(async (tx) => {
+    const [snap, record] = await Promise.all([tx.get(ref), tx.get(recordRef)]);
+    assertEngageable(colName, snap);
+    const value = valueAt(snap.data(), field);
+    if (record.exists === on) return { counted: false, value, on };
+    if (on) {
+      tx.create(recordRef, { collection: colName, docId, counter, uid, at: new Date().toISOString() });
+      tx.update(ref, { [field]: admin.firestore.FieldValue.increment(1) });
+      return { counted: true, value: value + 1, on };
+    }
+    tx.delete(recordRef);
+    // a count edited by hand may already be 0; never go below it
+    tx.update(ref, { [field]: value > 0 ? admin.firestore.FieldValue.increment(-1) : 0 });
+    return { counted: true, value: Math.max(0, value - 1), on };
+  });
+}
+
+// { counters: { views, ... }, mine: { likes, saves } | null } — mine only for a signed-in user.
+async function engagementState(colName, docId, uid) {
+  const spec = ENGAGEABLE[colName];
+  if (!spec) throw httpError(400, `collection must be one of ${Object.keys(ENGAGEABLE).join(', ')}`);
+  const snap = await db.collection(colName).doc(docId).get();
+  assertEngageable(colName, snap);
+  const counters = Object.fromEntries(spec.counters.map((c) => [c, valueAt(snap.data(), spec.field(c))]));
+  let mine = null;
+  if (uid) {
+    const kinds = PER_USER.filter((c) => spec.counters.includes(c));
+    const records = await db.getAll(...kinds.map((c) => db.collection(COL_ENGAGEMENTS).doc(engagementId(colName, docId, c, uid))));
+    mine = Object.fromEntries(kinds.map((c, i) => [c, records[i].exists]));
+  }
+  return { counters, mine };
+}
+
+// The user's likes or saves, newest first: [{ collection, docId, at }]
+async function userEngagements(uid, counter, limit) {
+  const snap = await db.collection(COL_ENGAGEMENTS).where('uid', '==', uid).get();
+  return snap.docs
+    .map((d) => d.data())
+    .filter((e) => !counter || e.counter === counter)
+    .sort((a, b) => String(b.at).localeCompare(String(a.at)))
+    .slice(0, limit)
+    .map(({ collection, docId, counter: c, at }) => ({ collection, docId, counter: c, at }));
+}
+
+export { COL_ENGAGEMENTS, ENGAGEABLE, PER_USER, withCountersFrom, countOnce, setPerUser, engagementState, userEngagements };
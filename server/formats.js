@@ -0,0 +1,138 @@
+/* =======================================================================================
+ * JSON / NDJSON / CSV helpers for bulk import and export
+ *
+ * CSV columns use dot paths for nested fields with numeric segments for array slots,
+ * e.g. `content.products.0.brand`, `stats.views`, `metadata.width`.
+ * ======================================================================================= */
+const FORMATS = ['json', 'ndjson', 'csv'];
+
+// RFC 4180: quoted fields, "" escapes, CRLF or LF line endings.
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row);
+      row = []; field = '';
+    } else field += c;
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows.filter((r) => r.some((v) => v.trim() !== ''));
+}
+
+// Cell values arrive as text: booleans and JSON literals are restored, empty cells dropped.
+function cellValue(raw) {
+  const v = raw.trim();
+  if (v === '') return undefined;
+  if (v === 'true' || v === 'false') return v === 'true';
+  if ((v.startsWith('[') && v.endsWith(']')) || (v.startsWith('{') && v.endsWith('}'))) {
+    try { return JSON.parse(v); } catch { /* keep as text */ }
+  }
+  return v;
+}
+
+function unflatten(flat) {
+  const out = {};
+  for (const [key, value] of Object.entries(flat)) {
+    if (value === undefined) continue;
+    const parts = key.split('.');
+    let node = out;
+    parts.forEach((part, i) => {
+      if (i === parts.length - 1) { node[part] = value; return; }
+      if (node[part] == null) node[part] = /^\d+$/.test(parts[i + 1]) ? [] : {};
+      node = node[part];
+    });
+  }
+  // drop holes left by sparse product columns (e.g. only products.0 and products.2 filled)
+  const compact = (v) => {
+    if (Array.isArray(v)) return v.filter((x) => x != null).map(compact);
+    if (v && typeof v === 'object') return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, compact(x)]));
+    return v;
+  };
+  return compact(out);
+}
+
+function csvToObjects(text) {
+  const [header, ...rows] = parseCSV(text);
+  if (!header) return [];
+  const cols = header.map((h) => h.trim());
+  return rows.map((r) => unflatten(Object.fromEntries(cols.map((c, i) => [c, cellValue(r[i] ?? '')]))));
+}
+
+// Returns the records as parsed values; a record that fails to parse becomes { __error }.
+function parseRecords(text, format) {
+  if (format === 'csv') return csvToObjects(text);
+  if (format === 'ndjson') {
+    return text
+      .split(/\r?\n/)
+      .filter((l) => l.trim())
+      .map((l) => {
+        try { return JSON.parse(l); } catch (e) { return { __error: `Invalid JSON: ${e.message}` }; }
+      });
+  }
+  if (format === 'json') {
+    const parsed = JSON.parse(text);
+    if (!Array.isArray(parsed)) throw new Error('JSON import expects an array of documents');
+    return parsed;
+  }
+  throw new Error(`format must be one of ${FORMATS.join(', ')}`);
+}
+
+// Picks the format from ?format=, else the content type.
+function detectFormat(explicit, contentType = '') {
+  if (explicit) return String(explicit).toLowerCase();
+  const ct = contentType.toLowerCase();
+  if (ct.includes('csv')) return 'csv';
+  if (ct.includes('ndjson') || ct.includes('jsonl')) return 'ndjson';
+  return 'json';
+}
+
+/* ───────────────────────────────
+   Writers
+   ─────────────────────────────── */
+const CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+};
+
+// Inverse of unflatten. Lists of plain values (tags) become one comma-separated cell.
+function flatten(value, prefix = '', out = {}) {
+  if (Array.isArray(value) && value.every((v) => v == null || typeof v !== 'object')) {
+    out[prefix] = value.filter((v) => v != null).join(', ');
+  } else if (value && typeof value === 'object') {
+    for (const [k, v] of Object.entries(value)) flatten(v, prefix ? `${prefix}.${k}` : k, out);
+  } else if (value !== undefined && prefix) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+const csvCell = (v) => {
+  if (v == null) return '';
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// The header is the union of all flattened keys, in first-seen order.
+function toCSV(objects) {
+  const rows = objects.map((o) => flatten(o));
+  const cols = [];
+  const seen = new Set();
+  rows.forEach((r) => Object.keys(r).forEach((k) => { if (!seen.has(k)) { seen.add(k); cols.push(k); } }));
+  const lines = [cols.map(csvCell).join(',')];
+  rows.forEach((r) => lines.push(cols.map((c) => csvCell(r[c])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+export { FORMATS, CONTENT_TYPES, parseCSV, parseRecords, detectFormat, unflatten, flatten, toCSV };
@@ -0,0 +1,86 @@
+import { admin, db } from './firebase.js';
+import { versionOf } from './concurrency.js';
+import { batchAudit } from './audit.js';
+
+/* =======================================================================================
+ * basics / recreate groups
+ *
+ * {col}/{groupId}:                { title, order, createdAt }
+ * {col}/{groupId}/items/{itemId}: { title, img, price, url, isNew, order, createdAt }
+ *
+ * Items used to be entries of an `items` array on the group doc. migrateGroups() moves them
+ * into the subcollection, keeping their ids and array order, and gives the group a title and
+ * an order; it only touches groups still missing one of those, so it is safe to run again.
+ * The admin runs it (POST /api/groups/migrate); each move is audited in the same transaction.
+ * Groups are listed with their `items` array; both are sorted by `order`.
+ * ======================================================================================= */
+const GROUPED = ['basics', 'recreate'];
+const SUB_ITEMS = 'items';
+
+const itemsOf = (colName, groupId) => db.collection(colName).doc(groupId).collection(SUB_ITEMS);
+
+const byOrder = (a, b) => a.order - b.order || String(a.id).localeCompare(String(b.id));
+const orderOf = (v) => (Number.isFinite(v) ? v : 0);
+
+const shapeGroupItem = (d) => {
+  const data = d.data() || {};
+  return { ...data, id: d.id, groupId: d.ref.parent.parent.id, order: orderOf(data.order), version: versionOf(d) };
+};
+
+const shapeGroup = (d, items) => {
+  const data = d.data() || {};
+  return { ...data, id: d.id, title: data.title || d.id, order: orderOf(data.order), version: versionOf(d), items };
+};
+
+async function listItems(colName, groupId) {
+  const snap = await itemsOf(colName, groupId).get();
+  return snap.docs.map(shapeGroupItem).sort(byOrder);
+}
+
+// One past the highest `order` in the collection, i.e. the end of the list.
+async function nextOrder(colRef) {
+  const snap = await colRef.select('order').get();
+  return snap.docs.reduce((max, d) => Math.max(max, orderOf(d.get('order')) + 1), 0);
+}
+
+// Groups without `order` would drop out of the list query, which orders by it.
+const isLegacy = (d) => Array.isArray(d.get('items')) || !Number.isFinite(d.get('order')) || !d.get('title');
+
+async function migrateGroup(req, ref, fallbackOrder) {
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!isLegacy(snap)) return 0;
+    const items = Array.isArray(snap.get('items')) ? snap.get('items') : [];
+    const now = new Date().toISOString();
+    const colName = ref.parent.id;
+    items.forEach((it, i) => {
+      const { id, ...data } = it || {};
+      const itemRef = id ? ref.collection(SUB_ITEMS).doc(String(id)) : ref.collection(SUB_ITEMS).doc();
+      const item = { ...data, order: i, createdAt: data.createdAt || now };
+      tx.set(itemRef, item, { merge: true });
+      batchAudit(tx, req, { collection: colName, docId: ref.id, itemId: itemRef.id, action: 'create', before: null, after: item });
+    });
+    const patch = {
+      title: snap.get('title') || ref.id,
+      order: Number.isFinite(snap.get('order')) ? snap.get('order') : fallbackOrder,
+    };
+    tx.update(ref, { ...patch, items: admin.firestore.FieldValue.delete() });
+    const { items: _items, ...rest } = snap.data();
+    batchAudit(tx, req, { collection: colName, docId: ref.id, action: 'update', before: snap, after: { ...rest, ...patch } });
+    return items.length;
+  });
+}
+
+// Returns { groups, items } migrated. Groups without an order keep their id order.
+async function migrateGroups(req, colName) {
+  const snap = await db.collection(colName).get();
+  const done = { groups: 0, items: 0 };
+  for (const [i, d] of snap.docs.entries()) {
+    if (!isLegacy(d)) continue;
+    done.items += await migrateGroup(req, d.ref, i);
+    done.groups++;
+  }
+  return done;
+}
+
+export { GROUPED, SUB_ITEMS, itemsOf, shapeGroupItem, shapeGroup, listItems, nextOrder, migrateGroups };
@@ -0,0 +1,68 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { storage } from './storage.js';
+
+/* =======================================================================================
+ * Image upload pipeline
+ *
+ * Reads the real format / dimensions / size, stores the original plus a resized WebP
+ * thumbnail, and returns the fields an images doc needs:
+ *   { imageUrl, thumbnailUrl, metadata: { format, width, height, size } }
+ * ======================================================================================= */
+const THUMB_WIDTH = 400;
+const THUMB_HEIGHT = 500; // same box as the seeded thumbnailUrl (w=400&h=500)
+const UPLOAD_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'avif'];
+
+// metadata.format keeps the file-extension spelling already used in the data ("jpg").
+const EXT = { jpeg: 'jpg', png: 'png', webp: 'webp', gif: 'gif', avif: 'avif' };
+
+const badImage = (message) => Object.assign(new Error(message), { status: 400 });
+
+async function readImageInfo(buffer) {
+  let meta;
+  try {
+    meta = await sharp(buffer).metadata();
+  } catch {
+    throw badImage('Not a readable image');
+  }
+  if (!UPLOAD_FORMATS.includes(meta.format)) {
+    throw badImage(`Unsupported image format "${meta.format}". Allowed: ${UPLOAD_FORMATS.join(', ')}`);
+  }
+  // EXIF orientations 5-8 are rotated by 90°: report the size the image is displayed at
+  const rotated = meta.orientation >= 5;
+  return {
+    format: EXT[meta.format],
+    width: rotated ? meta.height : meta.width,
+    height: rotated ? meta.width : meta.height,
+    size: buffer.length,
+    contentType: `image/${meta.format}`,
+  };
+}
+
+const makeThumbnail = (buffer) =>
+  sharp(buffer, { animated: false })
+    .rotate()
+    .resize({ width: THUMB_WIDTH, height: THUMB_HEIGHT, fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+
+async function storeImage(buffer) {
+  const { contentType, ...metadata } = await readImageInfo(buffer);
+  const thumb = await makeThumbnail(buffer);
+
+  const day = new Date().toISOString().slice(0, 10).replace(/-/g, '/');
+  const base = `images/${day}/${crypto.randomUUID()}`;
+  const keys = [`${base}.${metadata.format}`, `${base}_thumb.webp`];
+
+  const imageUrl = await storage.put(keys[0], buffer, contentType);
+  let thumbnailUrl;
+  try {
+    thumbnailUrl = await storage.put(keys[1], thumb, 'image/webp');
+  } catch (e) {
+    await storage.remove(keys[0]).catch(() => {});
+    throw e;
+  }
+  return { imageUrl, thumbnailUrl, metadata };
+}
+
+export { UPLOAD_FORMATS, readImageInfo, storeImage };
@@ -1,57 +1,91 @@
 import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import admin from 'firebase-admin';
+import multer from 'multer';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { admin, db } from './firebase.js';
+import { requireRole, optionalUser, setUserRole, webConfig, ROLES, COL_USERS } from './auth.js';
+import { rule, checkFields, missingFields } from './validate.js';
+import { FORMATS, CONTENT_TYPES, detectFormat, parseRecords, toCSV } from './formats.js';
+import { ACTIONS, recordAudit, batchAudit, queryAudit } from './audit.js';
+import { SEARCHABLE, indexDoc, reindexCollection, searchDocs } from './search.js';
+import { recordRevision, recordRevisions, listRevisions, getRevision, deleteRevisions, diffFields } from './revisions.js';
+import { versionOf, etag, writeIfMatch } from './concurrency.js';
+import {
+  COL_CATEGORIES,
+  CATEGORIZED,
+  CATEGORY_FIELDS,
+  slugify,
+  sanitizeCategory,
+  shapeCategory,
+  allCategories,
+  categoryErrors,
+  buildTree,
+  categoryScopes,
+  assertCategory,
+  categoryUsage,
+  movingFrom,
+  scopeErrors,
+  moveCategory,
+  finishRename,
+} from './categories.js';
+import { storage } from './storage.js';
+import { UPLOAD_FORMATS, storeImage } from './imaging.js';
+import {
+  GROUPED,
+  itemsOf,
+  shapeGroupItem,
+  shapeGroup,
+  listItems,
+  nextOrder,
+  migrateGroups,
+} from './groups.js';
+import { defineResource, queryFilters, httpError, sendError } from './resources.js';
+import { parseInstagramUrl, urlVariants, postDraft } from './instagram.js';
+import { scrapeProduct, recheckLinks, listLinkChecks, acknowledgePrice } from './products.js';
+import { BASE_CURRENCY, parsePrice, validCurrency, convert, totalPrice, rateTable } from './prices.js';
+import { ANALYZED, METRICS, GROUP_BY, summarize, takeSnapshot, snapshotIfDue, trend } from './analytics.js';
+import { PER_USER, countOnce, setPerUser, engagementState, userEngagements } from './engagement.js';
+import { rateLimit } from './ratelimit.js';
+import { DEDUPED, sourceKeys, findDuplicate, duplicateGroups, mergeDuplicates } from './duplicates.js';
+import { normalizeTag, normTags, countTags, listTags, getTag, rebuildTags, normalizeStoredTags, retag } from './tags.js';
+import { TRASHABLE, restoreFromTrash, purgeFromTrash, listTrash, purgeExpired } from './trash.js';
+import {
+  STATUSES,
+  PUBLISHABLE,
+  PUBLISHING_FIELDS,
+  shapePublishing,
+  sanitizePublishing,
+  settlePublishing,
+  publishDue,
+  migrateStatus,
+  publishingBetween,
+} from './publishing.js';
 
 /* ───────────────────────────────
    __dirname for ESM
    ─────────────────────────────── */
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-/* ───────────────────────────────
-   Firebase Admin (env-based)
-   ─────────────────────────────── */
-const serviceAccount = {
-  type: 'service_account',
-  project_id: process.env.FIREBASE_PROJECT_ID,
-  private_key_id: process.env.FIREBASE_PRIVATE_KEY_ID,
-  private_key: process.env.FIREBASE_PRIVATE_KEY
-    ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
-    : undefined,
-  client_email: process.env.FIREBASE_CLIENT_EMAIL,
-  client_id: process.env.FIREBASE_CLIENT_ID,
-  auth_uri: 'https://accounts.google.com/o/oauth2/auth',
-  token_uri: 'https://oauth2.googleapis.com/token',
-  auth_provider_x509_cert_url: 'https://www.googleapis.com/oauth2/v1/certs',
-  client_x509_cert_url: process.env.FIREBASE_CLIENT_X509_CERT_URL,
-};
-
-if (!serviceAccount.project_id) {
-  console.error('❌ FIREBASE_PROJECT_ID is missing!');
-  process.exit(1);
-}
-
-if (!admin.apps.length) {
-  admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount),
-    databaseURL: `https://${process.env.FIREBASE_PROJECT_ID}.firebaseio.com`,
-  });
-  console.log('✅ Firebase initialized successfully');
-}
-const db = admin.firestore();
-
 /* ───────────────────────────────
    Express
    ─────────────────────────────── */
 const app = express();
+// Behind a proxy or load balancer, set TRUST_PROXY (hop count, true, or a subnet list such as
+// "loopback") so req.ip is the client's address and not the proxy's; the rate limits key on it.
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+  const hops = /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : null;
+  app.set('trust proxy', hops ?? (TRUST_PROXY === 'true' ? true : TRUST_PROXY === 'false' ? false : TRUST_PROXY));
+}
 app.use(cors({ origin: true }));
 app.use(express.json({ limit: '2mb' }));
 
 // Serve /web
 const WEB_DIR = path.join(__dirname, '../web');
 app.use(express.static(WEB_DIR));
+if (storage.name === 'local') app.use('/uploads', express.static(storage.dir, { maxAge: '1y' }));
 app.get('/', (_req, res) => res.sendFile(path.join(WEB_DIR, 'index.html')));
 
 /* ───────────────────────────────
@@ -76,27 +110,68 @@ const numOrUndef = (v) => {
   const n = Number(v);
   return Number.isFinite(n) ? n : undefined;
 };
-const normTags = (tags) => {
-  if (Array.isArray(tags)) return tags.map((t) => String(t).trim()).filter(Boolean);
-  if (typeof tags === 'string') return tags.split(',').map((t) => t.trim()).filter(Boolean);
-  return [];
-};
+const COUNT = rule('number', { integer: true, min: 0 }); // views, likes, sizes, ...
+
+/* ───────────────────────────────
+   Auth
+   ─────────────────────────────── */
+// Public: the login page needs the client SDK config before anyone is signed in.
+app.get('/api/auth/config', (_req, res) => res.json({ ok: true, config: webConfig() }));
+
+app.get('/api/auth/me', requireRole('viewer'), (req, res) => res.json({ ok: true, user: req.user }));
+
+app.get('/api/auth/users', requireRole('admin'), async (_req, res) => {
+  try {
+    const snap = await db.collection(COL_USERS).get();
+    const users = snap.docs.map((d) => ({ uid: d.id, email: d.get('email') || '', role: d.get('role') || '' }));
+    res.json({ ok: true, users });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// body: { role, email? } — uid is the Firebase Auth uid
+app.put('/api/auth/users/:uid', requireRole('admin'), async (req, res) => {
+  try {
+    const role = String(req.body?.role || '');
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ ok: false, error: `role must be one of ${ROLES.join(', ')}` });
+    }
+    const ref = db.collection(COL_USERS).doc(req.params.uid);
+    const before = await ref.get();
+    await setUserRole(req.params.uid, role, asString(req.body?.email));
+    await recordAudit(req, { collection: COL_USERS, docId: req.params.uid, action: before.exists ? 'update' : 'create', before, after: await ref.get() });
+    res.json({ ok: true, uid: req.params.uid, role });
+  } catch (e) {
+    console.error(e);
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
 
 /* =======================================================================================
  * recentItems — TYPE-2: content.products
  * ======================================================================================= */
 const COL_ITEMS = 'recentItems';
 
+// price is { amount, currency } (see prices.js). A legacy price string that does not parse
+// is kept as priceText so the editor can fix it by hand.
 const normProductsArray = (arr) => {
   if (!Array.isArray(arr)) return [];
   return arr
     .map((p) => ({
-      id: p?.id == null || p?.id === '' ? undefined : Number(p.id),
+      id: p?.id == null || p?.id === '' || !Number.isFinite(Number(p.id)) ? undefined : Number(p.id),
       brand: p?.brand == null ? undefined : String(p.brand),
       name: p?.name == null ? undefined : String(p.name),
       image: p?.image == null ? undefined : String(p.image),
       link: p?.link == null ? undefined : String(p.link),
-      price: p?.price == null ? undefined : String(p.price),
+      price: parsePrice(p?.price) ?? undefined,
+      priceText:
+        typeof p?.price === 'string' && p.price.trim() && !parsePrice(p.price)
+          ? p.price
+          : p?.price == null && typeof p?.priceText === 'string' // stored, e.g. a restored revision
+          ? p.priceText
+          : undefined,
     }))
     .map((p) => {
       const o = {};
@@ -105,8 +180,16 @@ const normProductsArray = (arr) => {
     });
 };
 
+// Stored with every products write: the outfit total in BASE_CURRENCY, for ?minPrice= and
+// ?maxPrice=. Null when no product has a price that converts.
+function storedTotal(products) {
+  const total = totalPrice(products, BASE_CURRENCY);
+  return total.counted ? total : null;
+}
+
 function shapeItemDoc(d) {
   const data = d.data() || {};
+  const products = normProductsArray(data?.content?.products || []);
   return {
     _id: d.id,
     category: data.category || '',
@@ -118,12 +201,14 @@ function shapeItemDoc(d) {
     tags: Array.isArray(data.tags) ? data.tags : normTags(data.tags),
     title: data.title || '',
     uploadDate: data.uploadDate || '',
+    ...shapePublishing(COL_ITEMS, data),
     id: typeof data.id === 'string' ? data.id : undefined,
     createdAt: data.createdAt ? toISO(data.createdAt) : null,
     content: {
       ...(data.content && typeof data.content === 'object' ? data.content : {}),
-      products: normProductsArray(data?.content?.products || []),
+      products,
     },
+    priceTotal: totalPrice(products),
     stats:
       data.stats && typeof data.stats === 'object'
         ? {
@@ -132,9 +217,32 @@ function shapeItemDoc(d) {
             shares: numOrUndef(data.stats.shares),
           }
         : undefined,
+    version: versionOf(d),
   };
 }
 
+// Field types accepted by sanitizeItem (see validate.js)
+const PRICE = rule('any', { check: (v) => (parsePrice(v) ? null : 'must be a price, e.g. "49.99 USD" or { amount, currency }') });
+const PRODUCT_FIELDS = { id: COUNT, brand: 'string', name: 'string', image: 'url', link: 'url', price: PRICE, priceText: 'string' };
+const ITEM_FIELDS = {
+  category: 'string',
+  description: 'string',
+  image: 'url',
+  thumbnail: 'url',
+  instagramUrl: 'url',
+  uploadDate: 'string',
+  title: 'string',
+  isSaved: 'boolean',
+  tags: 'tags',
+  id: 'id',
+  createdAt: 'string',
+  content: { products: [PRODUCT_FIELDS], '*': 'any' },
+  products: [PRODUCT_FIELDS],
+  stats: { views: COUNT, saves: COUNT, shares: COUNT }, // accepted but not stored, see sanitizeItem
+  ...PUBLISHING_FIELDS,
+};
+const ITEM_REQUIRED = ['title'];
+
 function sanitizeItem(body = {}) {
   const out = {};
   const set = (k, v) => { if (v !== undefined) out[k] = v; };
@@ -147,9 +255,10 @@ function sanitizeItem(body = {}) {
   set('uploadDate', asString(body.uploadDate));
   set('title', asString(body.title));
   set('isSaved', asBool(body.isSaved));
-  set('tags', normTags(body.tags));
+  if (body.tags !== undefined) set('tags', normTags(body.tags));
   if (typeof body.id === 'string' && body.id.trim()) set('id', body.id.trim());
   if (typeof body.createdAt === 'string' && body.createdAt.trim()) set('createdAt', body.createdAt.trim());
+  Object.assign(out, sanitizePublishing(body));
 
   let content = body.content && typeof body.content === 'object' ? { ...body.content } : {};
   const incomingProducts = Array.isArray(body?.content?.products)
@@ -157,105 +266,134 @@ function sanitizeItem(body = {}) {
     : Array.isArray(body.products)
     ? normProductsArray(body.products)
     : undefined;
-  if (incomingProducts !== undefined) content.products = incomingProducts;
-  if (Object.keys(content).length) set('content', content);
-
-  if (body.stats && typeof body.stats === 'object') {
-    const s = {};
-    if (!isNaN(Number(body.stats.views))) s.views = Number(body.stats.views);
-    if (!isNaN(Number(body.stats.saves))) s.saves = Number(body.stats.saves);
-    if (!isNaN(Number(body.stats.shares))) s.shares = Number(body.stats.shares);
-    if (Object.keys(s).length) set('stats', s);
+  if (incomingProducts !== undefined) {
+    content.products = incomingProducts;
+    out.priceTotal = storedTotal(incomingProducts);
   }
+  if (Object.keys(content).length) set('content', content);
+  // stats are left out: only the engagement endpoints change them
   return out;
 }
 
-// LIST items
-app.get('/api/recent-items', async (req, res) => {
-  try {
-    let { limit = '50', q, category, saved } = req.query;
-    const lim = Math.min(parseInt(limit, 10) || 50, 100);
+// ?category=&saved=true|false&status=&minPrice=&maxPrice= (also used by the export). The
+// price range is on the stored total, in BASE_CURRENCY, and lists cheapest first; combined
+// with another filter it needs a composite index on that field plus priceTotal.amount.
+const ITEM_FILTERS = {
+  category: { field: 'category' },
+  saved: { field: 'isSaved', type: 'boolean' },
+  status: { field: 'status' },
+  minPrice: { field: 'priceTotal.amount', type: 'number', op: '>=' },
+  maxPrice: { field: 'priceTotal.amount', type: 'number', op: '<=' },
+};
 
-    let snap;
-    try {
-      let qy = db.collection(COL_ITEMS).orderBy('createdAt', 'desc');
-      if (category) qy = qy.where('category', '==', category);
-      if (saved === 'true' || saved === 'false') qy = qy.where('isSaved', '==', saved === 'true');
-      snap = await qy.limit(lim).get();
-    } catch {
-      let qy = db.collection(COL_ITEMS).orderBy(admin.firestore.FieldPath.documentId(), 'desc');
-      if (category) qy = qy.where('category', '==', category);
-      if (saved === 'true' || saved === 'false') qy = qy.where('isSaved', '==', saved === 'true');
-      snap = await qy.limit(lim).get();
-    }
-
-    let items = snap.docs.map(shapeItemDoc);
-    if (q && q.trim()) {
-      const needle = q.trim().toLowerCase();
-      items = items.filter(
-        (it) =>
-          (it._id || '').toLowerCase().includes(needle) ||
-          (it.title || '').toLowerCase().includes(needle) ||
-          (it.description || '').toLowerCase().includes(needle) ||
-          (Array.isArray(it.tags) && it.tags.join(',').toLowerCase().includes(needle))
-      );
-    }
-    res.json({ ok: true, count: items.length, items });
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ ok: false, error: e.message });
+// ?currency=EUR adds each product's price and the total in that currency (convertedPrice,
+// convertedTotal); null where the rate table cannot convert.
+function itemInCurrency(req, item) {
+  const currency = typeof req.query.currency === 'string' ? req.query.currency.trim().toUpperCase() : '';
+  if (!currency) return item;
+  if (!validCurrency(currency)) throw httpError(400, 'must be a three-letter currency code', { path: 'currency' });
+  const products = item.content.products.map((p) => (p.price ? { ...p, convertedPrice: convert(p.price, currency) } : p));
+  return { ...item, content: { ...item.content, products }, convertedTotal: totalPrice(products, currency) };
+}
+const stampCreatedAt = async () => ({ createdAt: new Date().toISOString() });
+
+// beforeCreate for recentItems / images: 409 with the stored doc when one has the same
+// source URL or legacy id (see duplicates.js), unless ?force=true.
+const refuseDuplicates = (colName, shape) => async (req, payload) => {
+  if (req.query.force === 'true' || req.query.force === '1') return;
+  const dup = await findDuplicate(colName, payload);
+  if (dup) {
+    const current = shape(dup.snap);
+    throw httpError(409, `Already stored as "${current.title || dup.snap.id}" (same ${dup.field})`, { current });
   }
+};
+
+defineResource(app, {
+  name: COL_ITEMS,
+  path: '/api/recent-items',
+  shape: shapeItemDoc,
+  fields: ITEM_FIELDS,
+  sanitize: sanitizeItem,
+  required: ITEM_REQUIRED,
+  filters: ITEM_FILTERS,
+  defaults: stampCreatedAt,
+  beforeCreate: refuseDuplicates(COL_ITEMS, shapeItemDoc),
+  transform: itemInCurrency,
+  searchable: true,
+  categorized: true,
+  trash: true,
+  revisions: true,
+  publishing: true,
+  tagged: true,
+  batch: { fields: ['category', 'isSaved', 'status'], tags: true },
 });
 
-app.get('/api/recent-items/:id', async (req, res) => {
+/* ---- Instagram ingestion (see instagram.js) ---- */
+// body: { instagramUrl, id? } — returns item fields prefilled from the post; nothing is saved.
+// 409 with the stored item when the post is already in recentItems under another doc than `id`
+// (the item being edited, if any).
+app.post('/api/recent-items/ingest', requireRole('editor'), async (req, res) => {
   try {
-    const ref = db.collection(COL_ITEMS).doc(req.params.id);
-    const snap = await ref.get();
-    if (!snap.exists) return res.status(404).json({ ok: false, error: 'Not found' });
-    res.json({ ok: true, item: shapeItemDoc(snap) });
+    const raw = req.body?.instagramUrl;
+    const post = parseInstagramUrl(raw);
+    const snap = await db.collection(COL_ITEMS).where('instagramUrl', 'in', urlVariants(raw, post)).limit(2).get();
+    const dup = snap.docs.find((d) => d.id !== req.body?.id);
+    if (dup) {
+      const current = shapeItemDoc(dup);
+      throw httpError(409, `This post is already stored as "${current.title || current._id}"`, { current });
+    }
+    res.json({ ok: true, item: await postDraft(raw) });
   } catch (e) {
-    console.error(e);
-    res.status(400).json({ ok: false, error: e.message });
+    sendError(res, e);
   }
 });
 
-app.post('/api/recent-items', async (req, res) => {
+/* ---- revision history ---- */
+app.get('/api/recent-items/:id/revisions', requireRole('viewer'), async (req, res) => {
   try {
-    const payload = sanitizeItem(req.body);
-    if (!payload.createdAt) payload.createdAt = new Date().toISOString();
-    const ref = await db.collection(COL_ITEMS).add(payload);
-    const snap = await ref.get();
-    res.status(201).json({ ok: true, id: ref.id, item: shapeItemDoc(snap) });
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const revisions = await listRevisions(COL_ITEMS, req.params.id, limit);
+    res.json({ ok: true, count: revisions.length, revisions });
   } catch (e) {
     console.error(e);
     res.status(400).json({ ok: false, error: e.message });
   }
 });
 
-app.put('/api/recent-items/:id', async (req, res) => {
+// ?from=<revId>&to=<revId|current>; `to` defaults to the live document.
+app.get('/api/recent-items/:id/revisions/diff', requireRole('viewer'), async (req, res) => {
   try {
-    const payload = sanitizeItem(req.body);
-    await db.collection(COL_ITEMS).doc(req.params.id).set(payload, { merge: true });
-    const snap = await db.collection(COL_ITEMS).doc(req.params.id).get();
-    if (!snap.exists) return res.status(404).json({ ok: false, error: 'Not found' });
-    res.json({ ok: true, id: req.params.id, item: shapeItemDoc(snap) });
+    const { from, to = 'current' } = req.query;
+    if (!from) return res.status(400).json({ ok: false, error: 'from is required' });
+    const side = async (revId) => {
+      if (revId === 'current') {
+        const snap = await db.collection(COL_ITEMS).doc(req.params.id).get();
+        return snap.exists ? snap.data() : null;
+      }
+      return (await getRevision(COL_ITEMS, req.params.id, revId))?.data ?? null;
+    };
+    const [a, b] = await Promise.all([side(String(from)), side(String(to))]);
+    if (!a || !b) return res.status(404).json({ ok: false, error: 'Revision not found' });
+    const changes = diffFields(a, b);
+    res.json({ ok: true, from, to, count: changes.length, changes });
   } catch (e) {
     console.error(e);
     res.status(400).json({ ok: false, error: e.message });
   }
 });
 
-app.delete('/api/recent-items/:id', async (req, res) => {
+app.get('/api/recent-items/:id/revisions/:revId', requireRole('viewer'), async (req, res) => {
   try {
-    await db.collection(COL_ITEMS).doc(req.params.id).delete();
-    res.json({ ok: true, id: req.params.id });
+    const revision = await getRevision(COL_ITEMS, req.params.id, req.params.revId);
+    if (!revision) return res.status(404).json({ ok: false, error: 'Revision not found' });
+    res.json({ ok: true, revision });
   } catch (e) {
     console.error(e);
     res.status(400).json({ ok: false, error: e.message });
   }
 });
 
-app.get('/api/debug/peek', async (_req, res) => {
+app.get('/api/debug/peek', requireRole('viewer'), async (_req, res) => {
   try {
     const snap = await db
       .collection(COL_ITEMS)
@@ -292,6 +430,7 @@ function shapeImageDoc(d) {
     thumbnailUrl: data.thumbnailUrl || '',
     uploadDate: data.uploadDate || '',
     isPublic: !!data.isPublic,
+    ...shapePublishing(COL_IMAGES, data),
     likes: numOrUndef(data.likes) ?? 0,
     saves: numOrUndef(data.saves) ?? 0,
     shares: numOrUndef(data.shares) ?? 0,
@@ -304,9 +443,33 @@ function shapeImageDoc(d) {
       width: numOrUndef(meta.width) ?? undefined,
       height: numOrUndef(meta.height) ?? undefined,
     },
+    version: versionOf(d),
   };
 }
 
+// Field types accepted by sanitizeImage (see validate.js)
+const IMAGE_FIELDS = {
+  category: 'string',
+  createdAt: 'string',
+  description: 'string',
+  title: 'string',
+  id: 'id',
+  imageUrl: 'url',
+  thumbnailUrl: 'url',
+  uploadDate: 'string',
+  isPublic: 'boolean',
+  // the counters are accepted but not stored, see sanitizeImage
+  likes: COUNT,
+  saves: COUNT,
+  shares: COUNT,
+  views: COUNT,
+  uploadedBy: 'string',
+  tags: 'tags',
+  metadata: { format: 'string', size: COUNT, width: COUNT, height: COUNT },
+  ...PUBLISHING_FIELDS,
+};
+const IMAGE_REQUIRED = ['title', 'imageUrl'];
+
 function sanitizeImage(body = {}) {
   const out = {};
   const set = (k, v) => { if (v !== undefined) out[k] = v; };
@@ -320,12 +483,10 @@ function sanitizeImage(body = {}) {
   set('thumbnailUrl', asString(body.thumbnailUrl ?? body.imageUrl)); // fallback
   set('uploadDate', asString(body.uploadDate));
   set('isPublic', asBool(body.isPublic));
-  set('likes', numOrUndef(body.likes));
-  set('saves', numOrUndef(body.saves));
-  set('shares', numOrUndef(body.shares));
-  set('views', numOrUndef(body.views));
+  // likes / saves / shares / views are left out: only the engagement endpoints change them
   set('uploadedBy', asString(body.uploadedBy));
-  set('tags', normTags(body.tags));
+  if (body.tags !== undefined) set('tags', normTags(body.tags));
+  Object.assign(out, sanitizePublishing(body));
 
   if (body.metadata && typeof body.metadata === 'object') {
     const m = {};
@@ -341,100 +502,56 @@ function sanitizeImage(body = {}) {
   return out;
 }
 
-// LIST images
-app.get('/api/images', async (req, res) => {
-  try {
-    let { limit = '50', q, category, pub } = req.query; // pub: "true"/"false"
-    const lim = Math.min(parseInt(limit, 10) || 50, 100);
-
-    let snap;
-    try {
-      let qy = db.collection(COL_IMAGES).orderBy('createdAt', 'desc');
-      if (category) qy = qy.where('category', '==', category);
-      if (pub === 'true' || pub === 'false') qy = qy.where('isPublic', '==', pub === 'true');
-      snap = await qy.limit(lim).get();
-    } catch {
-      let qy = db.collection(COL_IMAGES).orderBy(admin.firestore.FieldPath.documentId(), 'desc');
-      if (category) qy = qy.where('category', '==', category);
-      if (pub === 'true' || pub === 'false') qy = qy.where('isPublic', '==', pub === 'true');
-      snap = await qy.limit(lim).get();
-    }
-
-    let items = snap.docs.map(shapeImageDoc);
-    if (q && q.trim()) {
-      const needle = q.trim().toLowerCase();
-      items = items.filter(
-        (it) =>
-          (it._id || '').toLowerCase().includes(needle) ||
-          (it.title || '').toLowerCase().includes(needle) ||
-          (it.description || '').toLowerCase().includes(needle) ||
-          (Array.isArray(it.tags) && it.tags.join(',').toLowerCase().includes(needle))
-      );
-    }
-    res.json({ ok: true, count: items.length, items });
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ ok: false, error: e.message });
-  }
-});
+// ?category=&pub=true|false&status= (also used by the export)
+const IMAGE_FILTERS = {
+  category: { field: 'category' },
+  pub: { field: 'isPublic', type: 'boolean' },
+  status: { field: 'status' },
+};
 
-// GET image
-app.get('/api/images/:id', async (req, res) => {
-  try {
-    const ref = db.collection(COL_IMAGES).doc(req.params.id);
-    const snap = await ref.get();
-    if (!snap.exists) return res.status(404).json({ ok: false, error: 'Not found' });
-    res.json({ ok: true, item: shapeImageDoc(snap) });
-  } catch (e) {
-    console.error(e);
-    res.status(400).json({ ok: false, error: e.message });
-  }
-});
+// UPLOAD image file (multipart, field "file"). Stores the original and a thumbnail and
+// returns { imageUrl, thumbnailUrl, metadata } for the client to save with the doc.
+const UPLOAD_MAX_BYTES = (Number(process.env.UPLOAD_MAX_MB) || 15) * 1024 * 1024;
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: UPLOAD_MAX_BYTES, files: 1 } });
 
-// CREATE image
-app.post('/api/images', async (req, res) => {
-  try {
-    const payload = sanitizeImage(req.body);
-    if (!payload.title) {
-      return res.status(400).json({ ok: false, error: 'title is required' });
-    }
-    if (!payload.createdAt) payload.createdAt = new Date().toISOString();
-    const ref = await db.collection(COL_IMAGES).add(payload);
-    const snap = await ref.get();
-    res.status(201).json({ ok: true, id: ref.id, item: shapeImageDoc(snap) });
-  } catch (e) {
-    console.error(e);
-    res.status(400).json({ ok: false, error: e.message });
-  }
-});
+const uploadFile = (req, res, next) =>
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    res.status(status).json({ ok: false, error: err.message });
+  });
 
-// UPDATE image
-app.put('/api/images/:id', async (req, res) => {
+app.post('/api/images/upload', requireRole('editor'), uploadFile, async (req, res) => {
   try {
-    const payload = sanitizeImage(req.body);
-    await db.collection(COL_IMAGES).doc(req.params.id).set(payload, { merge: true });
-    const snap = await db.collection(COL_IMAGES).doc(req.params.id).get();
-    if (!snap.exists) return res.status(404).json({ ok: false, error: 'Not found' });
-    res.json({ ok: true, id: req.params.id, item: shapeImageDoc(snap) });
+    if (!req.file) return res.status(400).json({ ok: false, error: 'Send the image as multipart field "file"' });
+    const stored = await storeImage(req.file.buffer);
+    res.status(201).json({ ok: true, ...stored });
   } catch (e) {
     console.error(e);
-    res.status(400).json({ ok: false, error: e.message });
+    res.status(e.status || 500).json({ ok: false, error: e.message, ...(e.status === 400 ? { formats: UPLOAD_FORMATS } : {}) });
   }
 });
 
-// DELETE image
-app.delete('/api/images/:id', async (req, res) => {
-  try {
-    await db.collection(COL_IMAGES).doc(req.params.id).delete();
-    res.json({ ok: true, id: req.params.id });
-  } catch (e) {
-    console.error(e);
-    res.status(400).json({ ok: false, error: e.message });
-  }
+defineResource(app, {
+  name: COL_IMAGES,
+  path: '/api/images',
+  shape: shapeImageDoc,
+  fields: IMAGE_FIELDS,
+  sanitize: sanitizeImage,
+  required: IMAGE_REQUIRED,
+  filters: IMAGE_FILTERS,
+  defaults: stampCreatedAt,
+  beforeCreate: refuseDuplicates(COL_IMAGES, shapeImageDoc),
+  searchable: true,
+  categorized: true,
+  trash: true,
+  publishing: true,
+  tagged: true,
+  batch: { fields: ['category', 'isPublic', 'status'], tags: true },
 });
 
 // Debug + seed for images
-app.get('/api/debug/peek-images', async (_req, res) => {
+app.get('/api/debug/peek-images', requireRole('viewer'), async (_req, res) => {
   try {
     const snap = await db
       .collection(COL_IMAGES)
@@ -452,7 +569,7 @@ app.get('/api/debug/peek-images', async (_req, res) => {
   }
 });
 
-app.post('/api/dev/seed-image', async (_req, res) => {
+app.post('/api/dev/seed-image', requireRole('admin'), async (req, res) => {
   try {
     const sample = {
       category: 'hairstyle',
@@ -474,16 +591,20 @@ app.post('/api/dev/seed-image', async (_req, res) => {
       metadata: { format: 'jpg', height: 1000, width: 800, size: 1345678 },
     };
     const ref = await db.collection(COL_IMAGES).add(sample);
+    const snap = await ref.get();
+    await indexDoc(COL_IMAGES, snap);
+    await recordAudit(req, { collection: COL_IMAGES, docId: ref.id, action: 'create', after: snap });
     res.status(201).json({ ok: true, id: ref.id });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
 });
-// Get all categories
-app.get('/api/categories', async (_req, res) => {
+// Get all categories, each with `usage`: how many recentItems / images / aiCards reference it
+app.get('/api/categories', requireRole('viewer'), async (_req, res) => {
   try {
-    const snapshot = await db.collection('categories').get();
-    const categories = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const snapshot = await db.collection(COL_CATEGORIES).get();
+    const usage = await Promise.all(snapshot.docs.map(doc => (doc.get('name') ? categoryUsage(doc.get('name')) : null)));
+    const categories = snapshot.docs.map((doc, i) => ({ ...shapeCategory(doc), version: versionOf(doc), usage: usage[i] }));
     res.json({ success: true, categories });
   } catch (err) {
     console.error(err);
@@ -491,38 +612,190 @@ app.get('/api/categories', async (_req, res) => {
   }
 });
 
-// Add category
-app.post('/api/categories', async (req, res) => {
+// Nested categories for navigation. ?scope=images keeps the ones that apply to images;
+// ?usage=true adds the usage counts.
+app.get('/api/categories/tree', requireRole('viewer'), async (req, res) => {
+  try {
+    const snapshot = await db.collection(COL_CATEGORIES).get();
+    const withUsage = req.query.usage === 'true' || req.query.usage === '1';
+    const usage = withUsage
+      ? await Promise.all(snapshot.docs.map(doc => (doc.get('name') ? categoryUsage(doc.get('name')) : null)))
+      : [];
+    const cats = snapshot.docs.map((doc, i) => ({
+      ...shapeCategory(doc),
+      version: versionOf(doc),
+      ...(withUsage ? { usage: usage[i] } : {}),
+    }));
+    const scope = typeof req.query.scope === 'string' && req.query.scope ? req.query.scope : undefined;
+    res.json({ success: true, tree: buildTree(cats, scope) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+const categoryInvalid = (res, errors) => res.status(400).json({ success: false, error: 'Validation failed', errors });
+
+// Add category. slug defaults to the slugified name, order to the end of its siblings.
+app.post('/api/categories', requireRole('editor'), async (req, res) => {
   try {
-    const { name } = req.body;
-    if (!name) return res.status(400).json({ success: false, error: 'Name is required' });
-    const docRef = await db.collection('categories').add({ name });
-    res.json({ success: true, id: docRef.id });
+    const { errors } = checkFields(CATEGORY_FIELDS, req.body || {});
+    if (errors.length) return categoryInvalid(res, errors);
+
+    const cats = await allCategories();
+    const payload = sanitizeCategory(req.body);
+    payload.slug = payload.slug || slugify(payload.name);
+    payload.parentId = payload.parentId || null;
+    if (payload.order === undefined) {
+      const siblings = cats.filter(c => c.parentId === payload.parentId);
+      payload.order = siblings.length ? Math.max(...siblings.map(c => c.order)) + 1 : 0;
+    }
+    payload.scope = payload.scope || [];
+
+    const invalid = categoryErrors(payload, null, cats);
+    if (invalid.length) return categoryInvalid(res, invalid);
+
+    const docRef = await db.collection(COL_CATEGORIES).add(payload);
+    await recordAudit(req, { collection: COL_CATEGORIES, docId: docRef.id, action: 'create', after: payload });
+    res.json({ success: true, id: docRef.id, category: { id: docRef.id, ...payload } });
   } catch (err) {
     console.error(err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// Edit category
-app.put('/api/categories/:id', async (req, res) => {
+// Reorder / re-parent in one go (the tree editor's drag and drop).
+// body: { moves: [{ id, parentId, order }] }
+app.post('/api/categories/reorder', requireRole('editor'), async (req, res) => {
+  try {
+    const moves = Array.isArray(req.body?.moves) ? req.body.moves : null;
+    if (!moves || !moves.length) return res.status(400).json({ success: false, error: 'moves must be a non-empty array' });
+
+    const cats = await allCategories();
+    const byId = new Map(cats.map(c => [c.id, c]));
+    const changes = [];
+    for (const m of moves) {
+      const cat = byId.get(String(m?.id));
+      if (!cat) return res.status(400).json({ success: false, error: `Unknown category "${m?.id}"` });
+      const next = { parentId: m.parentId ? String(m.parentId) : null, order: Number(m.order) };
+      if (!Number.isFinite(next.order)) return res.status(400).json({ success: false, error: `order of "${cat.id}" must be a number` });
+      byId.set(cat.id, { ...cat, ...next });
+      changes.push({ before: cat, next });
+    }
+    // checked against the final layout, so moves may be given in any order
+    const after = [...byId.values()];
+    for (const { before } of changes) {
+      const invalid = categoryErrors(byId.get(before.id), before.id, after).filter(e => e.path === 'parentId');
+      if (invalid.length) return categoryInvalid(res, invalid.map(e => ({ ...e, path: `${before.id}.parentId` })));
+    }
+
+    const batch = db.batch();
+    for (const { before, next } of changes) {
+      const ref = db.collection(COL_CATEGORIES).doc(before.id);
+      batch.update(ref, next);
+      const { id: _id, ...data } = before;
+      batchAudit(batch, req, { collection: COL_CATEGORIES, docId: before.id, action: 'update', before: data, after: { ...data, ...next } });
+    }
+    await batch.commit();
+    res.json({ success: true, updated: changes.length });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Edit category (partial). A rename is carried over to every doc that uses the old name
+// (resumed by the next PUT if it stops partway, see categories.js); the slug stays as it was
+// unless one is sent. A scope that leaves out content types still using it is refused.
+app.put('/api/categories/:id', requireRole('editor'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { name } = req.body;
-    await db.collection('categories').doc(id).update({ name });
-    res.json({ success: true });
+    const { errors } = checkFields(CATEGORY_FIELDS, req.body || {});
+    if (errors.length) return categoryInvalid(res, errors);
+
+    const payload = sanitizeCategory(req.body);
+    const cats = await allCategories();
+    const current = cats.find(c => c.id === id);
+    if (current && payload.scope) {
+      const invalid = await scopeErrors([current.name, ...movingFrom(current)].filter(Boolean), payload.scope);
+      if (invalid.length) return categoryInvalid(res, invalid);
+    }
+    const ref = db.collection(COL_CATEGORIES).doc(id);
+    const before = await writeIfMatch(req, ref, (tx, snap) => {
+      if (!snap.exists) throw Object.assign(new Error('Category not found'), { status: 404 });
+      const invalid = categoryErrors({ ...shapeCategory(snap), ...payload }, id, cats);
+      if (invalid.length) throw Object.assign(new Error('Validation failed'), { status: 400, errors: invalid });
+      const oldName = snap.get('name');
+      const renamed = oldName && payload.name && oldName !== payload.name;
+      tx.update(ref, renamed ? { ...payload, movingFrom: admin.firestore.FieldValue.arrayUnion(oldName) } : payload);
+    });
+    await recordAudit(req, { collection: COL_CATEGORIES, docId: id, action: 'update', before, after: await ref.get() });
+
+    let moved;
+    try {
+      moved = await finishRename(req, ref);
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ success: false, error: `Saved, but moving its documents to the new name stopped (${err.message}); save the category again to finish` });
+    }
+    const after = await ref.get();
+    res.json({ success: true, version: versionOf(after), category: shapeCategory(after), moved });
   } catch (err) {
+    if (err.status === 409) {
+      const cur = err.current;
+      return res.status(409).json({ success: false, error: err.message, current: cur?.exists ? { ...shapeCategory(cur), version: versionOf(cur) } : null });
+    }
+    if (err.status === 400) return categoryInvalid(res, err.errors);
+    if (err.status === 404) return res.status(404).json({ success: false, error: err.message });
     console.error(err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// Delete category
-app.delete('/api/categories/:id', async (req, res) => {
+// Delete category. Refused with 409 while docs still use it, unless ?reassignTo=<name>
+// names the category to move them to first. Subcategories move up to the deleted one's parent.
+app.delete('/api/categories/:id', requireRole('editor'), async (req, res) => {
   try {
     const { id } = req.params;
-    await db.collection('categories').doc(id).delete();
-    res.json({ success: true });
+    const ref = db.collection(COL_CATEGORIES).doc(id);
+    const before = await ref.get();
+    if (!before.exists) return res.json({ success: true });
+
+    const name = before.get('name');
+    if (movingFrom(before.data()).length) {
+      return res.status(409).json({ success: false, error: `Category "${name}" is still being renamed; save it again to finish moving its documents first` });
+    }
+    const reassignTo = typeof req.query.reassignTo === 'string' ? req.query.reassignTo.trim() : '';
+    let moved = null;
+    if (name) {
+      const usage = await categoryUsage(name);
+      if (usage.total && !reassignTo) {
+        return res.status(409).json({ success: false, error: `Category "${name}" is used by ${usage.total} document(s); pass reassignTo to move them`, usage });
+      }
+      if (usage.total) {
+        const scopes = await categoryScopes();
+        const scope = (await allCategories()).some(c => c.name === reassignTo) ? scopes.get(reassignTo) : undefined; // not an old name
+        if (reassignTo === name || !scope) {
+          return res.status(400).json({ success: false, error: `reassignTo must be another existing category` });
+        }
+        const outOfScope = CATEGORIZED.filter(c => usage[c] && scope.length && !scope.includes(c));
+        if (outOfScope.length) {
+          return res.status(400).json({ success: false, error: `Category "${reassignTo}" does not apply to ${outOfScope.join(', ')}` });
+        }
+        moved = await moveCategory(req, name, reassignTo);
+      }
+    }
+
+    const children = await db.collection(COL_CATEGORIES).where('parentId', '==', id).get();
+    const batch = db.batch();
+    children.docs.forEach(d => {
+      batch.update(d.ref, { parentId: before.get('parentId') || null });
+      batchAudit(batch, req, { collection: COL_CATEGORIES, docId: d.id, action: 'update', before: d, after: { ...d.data(), parentId: before.get('parentId') || null } });
+    });
+    batch.delete(ref);
+    batchAudit(batch, req, { collection: COL_CATEGORIES, docId: id, action: 'delete', before });
+    await batch.commit();
+    res.json({ success: true, moved, reparented: children.size });
   } catch (err) {
     console.error(err);
     res.status(500).json({ success: false, error: err.message });
@@ -534,305 +807,1206 @@ app.get('/categories', (req, res) => {
   res.sendFile(path.join(__dirname, '../web/add-category.html'));
 });
 
-// ---------- CREATE ----------
+/* basics / recreate — groups of products, one doc per product (see groups.js) */
+const GROUP_ITEM_FIELDS = {
+  id: 'id',
+  title: 'string',
+  img: 'url',
+  price: rule('number', { min: 0 }),
+  url: 'url',
+  isNew: 'boolean',
+  order: 'number',
+};
+const GROUP_FIELDS = { id: 'id', title: 'string', order: 'number' };
+const GROUP_JSON_FIELDS = { ...GROUP_FIELDS, items: [GROUP_ITEM_FIELDS] }; // /addJsonData may bring the items along
+
+// The item id is the doc id, so it is not part of the stored fields.
+function sanitizeGroupItem(body = {}) {
+  const out = {};
+  const set = (k, v) => { if (v !== undefined) out[k] = v; };
+
+  set('title', asString(body.title)?.trim());
+  set('img', asString(body.img)?.trim());
+  set('price', numOrUndef(body.price));
+  set('url', asString(body.url)?.trim());
+  set('isNew', asBool(body.isNew));
+  set('order', numOrUndef(body.order));
+  return out;
+}
+
+function sanitizeGroup(body = {}) {
+  const out = {};
+  if (body.title != null) out.title = String(body.title).trim();
+  const order = numOrUndef(body.order);
+  if (order !== undefined) out.order = order;
+  return out;
+}
+
+const GROUP_CHUNK = 200; // items per batch when a group is deleted: a delete plus an audit entry each
+
+// Appends items to a group in batches. Items with an id that already exists are merged into it.
+async function addGroupItems(req, colName, groupId, items) {
+  const col = itemsOf(colName, groupId);
+  let order = await nextOrder(col);
+  const now = new Date().toISOString();
+  for (let i = 0; i < items.length; i += GROUP_CHUNK) {
+    const batch = db.batch();
+    for (const it of items.slice(i, i + GROUP_CHUNK)) {
+      const ref = typeof it.id === 'string' && it.id.trim() ? col.doc(it.id.trim()) : col.doc();
+      const data = { ...sanitizeGroupItem(it), createdAt: now };
+      if (data.order === undefined) data.order = order++;
+      batch.set(ref, data, { merge: true });
+      batchAudit(batch, req, { collection: colName, docId: groupId, itemId: ref.id, action: 'create', after: data });
+    }
+    await batch.commit();
+  }
+}
+
+// Sets `order` to each id's position in `ids`. Returns the ids not found in `col`.
+async function reorderDocs(req, colName, col, ids, auditOf) {
+  const snap = await col.get();
+  const byId = new Map(snap.docs.map(d => [d.id, d]));
+  const unknown = ids.filter(id => !byId.has(id));
+  if (unknown.length) return unknown;
+  const batch = db.batch();
+  ids.forEach((id, order) => {
+    const d = byId.get(id);
+    if (d.get('order') === order) return;
+    batch.update(d.ref, { order });
+    batchAudit(batch, req, { ...auditOf(id), collection: colName, action: 'update', before: d, after: { ...d.data(), order } });
+  });
+  await batch.commit();
+  return [];
+}
+
+function reorderIds(body) {
+  const ids = body?.ids;
+  if (Array.isArray(ids) && ids.length && ids.every(id => typeof id === 'string')) return ids;
+  throw httpError(400, 'Validation failed', { errors: [{ path: 'ids', message: 'must be a non-empty array of ids' }] });
+}
+
+for (const colName of GROUPED) {
+  const base = `/api/${colName}`;
+
+  // Groups come with their items. A group that still has items is only deleted with
+  // ?force=true, items included.
+  defineResource(app, {
+    name: colName,
+    path: base,
+    shape: async (d) => shapeGroup(d, await listItems(colName, d.id)),
+    fields: GROUP_FIELDS,
+    sanitize: sanitizeGroup,
+    required: ['title'],
+    order: { field: 'order', dir: 'asc' },
+    defaults: async (_req, col) => ({ order: await nextOrder(col), createdAt: new Date().toISOString() }),
+    newId: (req, payload) => {
+      const id = slugify(req.body.id || payload.title);
+      if (!id) throw httpError(400, 'Validation failed', { errors: [{ path: 'id', message: 'must contain letters or digits' }] });
+      return id;
+    },
+    beforeDelete: async (req, snap) => {
+      const items = await itemsOf(colName, snap.id).get();
+      if (!items.size) return;
+      if (req.query.force !== 'true') throw httpError(409, `Group "${snap.id}" still has ${items.size} item(s)`);
+      for (let i = 0; i < items.size; i += GROUP_CHUNK) {
+        const batch = db.batch();
+        items.docs.slice(i, i + GROUP_CHUNK).forEach(d => {
+          batch.delete(d.ref);
+          batchAudit(batch, req, { collection: colName, docId: snap.id, itemId: d.id, action: 'delete', before: d });
+        });
+        await batch.commit();
+      }
+    },
+  });
+
+  // body: { id?, title, img, price, url, isNew, order? } — appended at the end unless order is given
+  defineResource(app, {
+    name: colName,
+    path: `${base}/:groupId/items`,
+    shape: shapeGroupItem,
+    fields: GROUP_ITEM_FIELDS,
+    sanitize: sanitizeGroupItem,
+    required: ['title'],
+    order: { field: 'order', dir: 'asc' },
+    defaults: async (_req, col) => ({ order: await nextOrder(col), createdAt: new Date().toISOString() }),
+    collection: (req) => itemsOf(colName, req.params.groupId),
+    audit: (req, id) => ({ docId: req.params.groupId, itemId: id }),
+    newId: (req) => (typeof req.body.id === 'string' && req.body.id.trim() ? req.body.id.trim() : null),
+    beforeCreate: async (req) => {
+      const group = await db.collection(colName).doc(req.params.groupId).get();
+      if (!group.exists) throw httpError(404, 'Group not found');
+    },
+  });
+
+  // body: { ids: [groupId, ...] } in the new order
+  app.post(`${base}/reorder`, requireRole('editor'), async (req, res) => {
+    try {
+      const ids = reorderIds(req.body);
+      const unknown = await reorderDocs(req, colName, db.collection(colName), ids, id => ({ docId: id }));
+      if (unknown.length) throw httpError(404, `Unknown group(s) ${unknown.join(', ')}`);
+      res.json({ ok: true, ids });
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // body: { ids: [itemId, ...] } in the new order
+  app.post(`${base}/:groupId/items/reorder`, requireRole('editor'), async (req, res) => {
+    try {
+      const { groupId } = req.params;
+      const ids = reorderIds(req.body);
+      const unknown = await reorderDocs(req, colName, itemsOf(colName, groupId), ids, id => ({ docId: groupId, itemId: id }));
+      if (unknown.length) throw httpError(404, `Unknown item(s) ${unknown.join(', ')}`);
+      res.json({ ok: true, ids });
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // body: { groupId } — moves the item to the end of that group, keeping its id
+  app.post(`${base}/:groupId/items/:itemId/move`, requireRole('editor'), async (req, res) => {
+    try {
+      const { groupId, itemId } = req.params;
+      const target = String(req.body?.groupId || '');
+      if (!target) throw httpError(400, 'Validation failed', { errors: [{ path: 'groupId', message: 'is required' }] });
+      const ref = itemsOf(colName, groupId).doc(itemId);
+      const dest = itemsOf(colName, target).doc(itemId);
+      if (target === groupId) return res.json({ ok: true, id: itemId, item: shapeGroupItem(await ref.get()) });
+      const order = await nextOrder(dest.parent);
+
+      const before = await writeIfMatch(req, ref, async (tx, snap) => {
+        if (!snap.exists) throw httpError(404, 'Item not found');
+        const [group, taken] = await Promise.all([tx.get(dest.parent.parent), tx.get(dest)]);
+        if (!group.exists) throw httpError(404, `Group "${target}" not found`);
+        if (taken.exists) throw httpError(409, `Item "${itemId}" already exists in "${target}"`);
+        tx.set(dest, { ...snap.data(), order });
+        tx.delete(ref);
+      });
+      const after = await dest.get();
+      await recordAudit(req, { collection: colName, docId: target, itemId, action: 'update', before: { ...before.data(), groupId }, after: { ...after.data(), groupId: target } });
+      res.set('ETag', etag(versionOf(after))).json({ ok: true, id: itemId, item: shapeGroupItem(after) });
+    } catch (e) {
+      if (e.status === 409 && e.current) e.current = e.current.exists ? shapeGroupItem(e.current) : null;
+      sendError(res, e);
+    }
+  });
+}
 
-// ---------- LIST ALL GROUPS ----------
-app.get('/api/basics', async (_req, res) => {
+// Moves items still stored in a group doc's `items` array into their own docs: a one-off,
+// audited (not run on start).
+app.post('/api/groups/migrate', requireRole('admin'), async (req, res) => {
   try {
-    const snap = await db.collection('basics').get();
-    const data = snap.docs.map(d => ({ id: d.id, ...d.data() }));
-    res.json(data);
+    const migrated = {};
+    for (const c of GROUPED) migrated[c] = await migrateGroups(req, c);
+    res.json({ ok: true, migrated });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: 'Fetch failed' });
+    res.status(500).json({ ok: false, error: e.message });
   }
 });
 
-// ---------- CREATE / APPEND (100 % safe) ----------
-app.post('/api/basics/:groupId/items', async (req, res) => {
+/* ===========================
+   AI CARDS COLLECTION (CRUD)
+   =========================== */
+const COL_AICARDS = 'aiCards';
+
+// shape helper (converts Firestore Timestamp/ISO to ISO)
+function shapeAiCardDoc(d) {
+  const data = d.data() || {};
+  return {
+    id: d.id,
+    title: data.title || '',
+    image: data.image || data.imageUrl || '',
+    prompt: data.prompt || '',
+    link: data.link || '',
+    gender: data.gender || 'Unisex',
+    category: data.category || d.id, // fallback to doc id as category
+    ...shapePublishing(COL_AICARDS, data),
+    createdAt: data.createdAt ? toISO(data.createdAt) : null,
+    version: versionOf(d),
+  };
+}
+
+const AICARD_GENDERS = ['Unisex', 'Male', 'Female'];
+const AICARD_FIELDS = {
+  title: 'string',
+  image: 'url',
+  prompt: 'string',
+  link: 'url',
+  gender: rule('string', { enum: AICARD_GENDERS }),
+  category: 'string',
+  createdAt: 'string',
+  ...PUBLISHING_FIELDS,
+};
+const AICARD_REQUIRED = ['title', 'category'];
+
+// only the fields present in body (used for partial updates)
+function sanitizeAiCard(body = {}) {
+  const out = {};
+  for (const k of ['title', 'image', 'prompt', 'link', 'gender', 'category']) {
+    if (body[k] != null) out[k] = String(body[k]);
+  }
+  if (out.category !== undefined) out.category = out.category.trim();
+  if (typeof body.createdAt === 'string' && body.createdAt.trim()) out.createdAt = body.createdAt.trim();
+  return Object.assign(out, sanitizePublishing(body));
+}
+
+// ?category=&status=
+const AICARD_FILTERS = { category: { field: 'category' }, status: { field: 'status' } };
+
+defineResource(app, {
+  name: COL_AICARDS,
+  path: '/api/aicards',
+  shape: shapeAiCardDoc,
+  fields: AICARD_FIELDS,
+  sanitize: sanitizeAiCard,
+  required: AICARD_REQUIRED,
+  filters: AICARD_FILTERS,
+  // server timestamps, as the cards always had (shapeAiCardDoc converts them)
+  defaults: async () => ({ gender: 'Unisex', createdAt: admin.firestore.FieldValue.serverTimestamp() }),
+  categorized: true,
+  trash: true,
+  publishing: true,
+  batch: { fields: ['category', 'gender', 'status'] },
+});
+
+/* ───────────────────────────────
+   /addJsonData — allowlisted collections only
+   ─────────────────────────────── */
+// Each collection goes through the same sanitizer the dedicated routes use. `required` is
+// only enforced when the write creates a new doc; merges into an existing doc may be partial.
+const JSON_COLLECTIONS = {
+  [COL_ITEMS]: { fields: ITEM_FIELDS, sanitize: sanitizeItem, required: ITEM_REQUIRED, stampCreatedAt: true },
+  [COL_IMAGES]: { fields: IMAGE_FIELDS, sanitize: sanitizeImage, required: IMAGE_REQUIRED, stampCreatedAt: true },
+  [COL_AICARDS]: { fields: AICARD_FIELDS, sanitize: sanitizeAiCard, required: AICARD_REQUIRED, stampCreatedAt: true },
+  basics: { fields: GROUP_JSON_FIELDS, sanitize: sanitizeGroup, required: ['title'], stampCreatedAt: true },
+  recreate: { fields: GROUP_JSON_FIELDS, sanitize: sanitizeGroup, required: ['title'], stampCreatedAt: true },
+  categories: { fields: CATEGORY_FIELDS, sanitize: sanitizeCategory, required: ['name'] },
+};
+
+app.get('/api/json-collections', requireRole('viewer'), (_req, res) => {
+  res.json({ success: true, collections: Object.keys(JSON_COLLECTIONS) });
+});
+
+// body: { collection, docId?, data, dryRun? } — dryRun returns the normalized doc without
+// writing. A new recentItem / image with the source URL or id of a stored one is a 409 with
+// that doc, unless ?force=true (as on the REST create routes).
+app.post("/addJsonData", requireRole('admin'), async (req, res) => {
   try {
-    const { groupId } = req.params;
-    const newItem = { ...req.body, id: req.body.id || Date.now().toString() };
+    const { collection, data, dryRun } = req.body || {};
+    const docId = typeof req.body?.docId === 'string' ? req.body.docId.trim() : '';
+
+    if (!collection || !data) {
+      return res.status(400).json({ success: false, error: "Collection and data are required!" });
+    }
+    const def = JSON_COLLECTIONS[collection];
+    if (!def) {
+      return res.status(400).json({
+        success: false,
+        error: `Collection "${collection}" is not allowed. Allowed: ${Object.keys(JSON_COLLECTIONS).join(', ')}`,
+      });
+    }
 
-    const groupRef = db.collection('basics').doc(groupId);
+    const { errors, dropped } = checkFields(def.fields, data);
+    const existing = docId ? await db.collection(collection).doc(docId).get() : null;
+    const isNew = !existing?.exists;
+
+    const payload = errors.length ? {} : def.sanitize(data);
+    if (!errors.length && isNew) errors.push(...missingFields(def.required, payload));
+    if (!errors.length && CATEGORIZED.includes(collection)) {
+      try {
+        assertCategory(await categoryScopes(), payload.category, existing?.get('category'), collection);
+      } catch (e) {
+        errors.push({ path: e.path, message: e.message });
+      }
+    }
+    if (!errors.length && PUBLISHABLE.includes(collection)) {
+      errors.push(...settlePublishing(collection, payload, isNew ? null : existing.data()));
+    }
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'Validation failed', errors, dropped });
+    }
+    if (isNew && DEDUPED[collection] && req.query.force !== 'true' && req.query.force !== '1') {
+      const dup = await findDuplicate(collection, payload);
+      if (dup) {
+        const current = DEDUPED_SHAPES[collection](dup.snap);
+        return res.status(409).json({ success: false, error: `Already stored as "${current.title || dup.snap.id}" (same ${dup.field})`, current });
+      }
+    }
+    if (isNew && def.stampCreatedAt && !payload.createdAt) payload.createdAt = new Date().toISOString();
+    // group items become docs of their own, written after the group
+    const groupItems = GROUPED.includes(collection) && Array.isArray(data.items) ? data.items : [];
+    if (isNew && GROUPED.includes(collection) && payload.order === undefined) {
+      payload.order = await nextOrder(db.collection(collection));
+    }
 
-    // Create document only if it doesn’t exist, **do NOT set items: []**
-    await groupRef.set({}, { merge: true });
+    if (dryRun) {
+      return res.json({ success: true, dryRun: true, collection, id: docId || null, exists: !isNew, document: payload, items: groupItems.map(sanitizeGroupItem), dropped });
+    }
 
-    // Atomically append the new item
-    await groupRef.update({
-      items: admin.firestore.FieldValue.arrayUnion(newItem)
-    });
+    let docRef;
+    if (docId) {
+      // Add with custom Document ID
+      docRef = db.collection(collection).doc(docId);
+      await docRef.set(payload, { merge: true });
+    } else {
+      // Auto-generate Document ID
+      docRef = await db.collection(collection).add(payload);
+    }
+    const after = await docRef.get();
+    if (SEARCHABLE.includes(collection)) await indexDoc(collection, after);
+    await countTags(collection, [{ before: existing?.exists ? existing : null, after }]);
+    await recordAudit(req, { collection, docId: docRef.id, action: isNew ? 'create' : 'update', before: existing, after });
+    if (collection === COL_ITEMS) {
+      await recordRevision(req, COL_ITEMS, { docId: docRef.id, action: isNew ? 'create' : 'update', before: existing, after });
+    }
+    if (groupItems.length) await addGroupItems(req, collection, docRef.id, groupItems);
 
-    res.json(newItem);
-  } catch (e) {
-    console.error('CREATE ERROR', e);
-    res.status(500).json({ error: 'Create failed' });
+    res.json({ success: true, id: docRef.id, collection, document: payload, ...(groupItems.length ? { items: groupItems.length } : {}), dropped });
+  } catch (err) {
+    console.error("Error adding data:", err);
+    res.status(500).json({ success: false, error: err.message });
   }
 });
-// ---------- UPDATE PRODUCT ----------
-app.put('/api/basics/:groupId/items/:itemId', async (req, res) => {
+
+/* ───────────────────────────────
+   Bulk import (JSON array / NDJSON / CSV)
+   ─────────────────────────────── */
+const IMPORTABLE = [COL_ITEMS, COL_IMAGES];
+const BATCH_LIMIT = 500; // Firestore max writes per batch
+
+// Rows are matched to existing docs by the legacy `id` field; everything else is created,
+// unless it has the source URL or id of a stored doc (see duplicates.js) and force is off.
+// Each row ends up as { row, status: created|updated|rejected, docId, id, errors }.
+async function importRecords(req, colName, records, { dryRun, force }) {
+  const def = JSON_COLLECTIONS[colName];
+  const col = db.collection(colName);
+  const seen = new Map(); // legacy id -> first row using it
+  const seenSource = new Map(); // "<field>:<key>" (see duplicates.js) -> first row using it
+
+  const scopes = await categoryScopes();
+  const rows = records.map((rec, i) => {
+    const r = { row: i + 1, errors: [] };
+    if (rec?.__error) {
+      r.errors.push({ path: '(row)', message: rec.__error });
+      return r;
+    }
+    r.errors = checkFields(def.fields, rec).errors;
+    if (r.errors.length) return r;
+
+    r.payload = def.sanitize(rec);
+    try {
+      assertCategory(scopes, r.payload.category, undefined, colName);
+    } catch (e) {
+      r.errors.push({ path: e.path, message: e.message });
+      return r;
+    }
+    const id = r.payload.id;
+    if (id && seen.has(id)) r.errors.push({ path: 'id', message: `duplicates row ${seen.get(id)}` });
+    else if (id) seen.set(id, r.row);
+    if (r.errors.length || force) return r;
+    const sources = sourceKeys(colName, r.payload).filter(({ field }) => field !== 'id');
+    const first = sources.find(({ field, key }) => seenSource.has(`${field}:${key}`));
+    if (first) {
+      r.errors.push({ path: first.field, message: `duplicates row ${seenSource.get(`${first.field}:${first.key}`)} (import with force to add it anyway)` });
+    } else sources.forEach(({ field, key }) => seenSource.set(`${field}:${key}`, r.row));
+    return r;
+  });
+
+  // 'in' queries accept at most 30 values
+  const ids = [...seen.keys()];
+  const existing = new Map();
+  for (let i = 0; i < ids.length; i += 30) {
+    const snap = await col.where('id', 'in', ids.slice(i, i + 30)).get();
+    snap.docs.forEach((d) => existing.set(d.get('id'), d));
+  }
+
+  const accepted = [];
+  for (const r of rows) {
+    if (r.errors.length) continue;
+    const found = r.payload.id ? existing.get(r.payload.id) : undefined;
+    r.ref = found?.ref;
+    if (!r.ref) r.errors.push(...missingFields(def.required, r.payload));
+    if (!r.ref && !r.errors.length && !force) {
+      const dup = await findDuplicate(colName, r.payload);
+      if (dup) r.errors.push({ path: dup.field, message: `already stored as ${dup.snap.id} (import with force to add it anyway)` });
+    }
+    if (!r.errors.length) r.errors.push(...settlePublishing(colName, r.payload, found?.data() ?? null));
+    if (r.errors.length) continue;
+
+    r.status = r.ref ? 'updated' : 'created';
+    if (!r.ref) {
+      r.ref = col.doc();
+      if (!r.payload.createdAt) r.payload.createdAt = new Date().toISOString();
+    }
+    accepted.push(r);
+  }
+
+  if (!dryRun) {
+    for (let i = 0; i < accepted.length; i += BATCH_LIMIT) {
+      const chunk = accepted.slice(i, i + BATCH_LIMIT);
+      const updated = chunk.filter((r) => r.status === 'updated');
+      const befores = new Map(
+        updated.length ? (await db.getAll(...updated.map((r) => r.ref))).map((d) => [d.id, d]) : []
+      );
+
+      const batch = db.batch();
+      chunk.forEach((r) => batch.set(r.ref, r.payload, r.status === 'updated' ? { merge: true } : {}));
+      await batch.commit();
+
+      const snaps = await db.getAll(...chunk.map((r) => r.ref));
+      const audits = db.batch();
+      snaps.forEach((snap, k) =>
+        batchAudit(audits, req, {
+          collection: colName,
+          docId: snap.id,
+          action: chunk[k].status === 'updated' ? 'update' : 'create',
+          before: befores.get(snap.id) ?? null,
+          after: snap,
+        })
+      );
+      await audits.commit().catch((e) => console.error('AUDIT ERROR', e));
+      if (colName === COL_ITEMS) {
+        await recordRevisions(
+          req,
+          colName,
+          snaps.map((snap, k) => ({
+            docId: snap.id,
+            action: chunk[k].status === 'updated' ? 'update' : 'create',
+            before: befores.get(snap.id) ?? null,
+            after: snap,
+          }))
+        );
+      }
+      await Promise.all(snaps.map((snap) => indexDoc(colName, snap)));
+      await countTags(colName, snaps.map((snap) => ({ before: befores.get(snap.id) ?? null, after: snap })));
+    }
+  }
+
+  const report = rows.map((r) => ({
+    row: r.row,
+    status: r.errors.length ? 'rejected' : r.status,
+    docId: r.errors.length ? null : r.ref.id,
+    id: r.payload?.id || null,
+    errors: r.errors,
+  }));
+  const count = (st) => report.filter((r) => r.status === st).length;
+  return {
+    total: report.length,
+    created: count('created'),
+    updated: count('updated'),
+    rejected: count('rejected'),
+    rows: report,
+  };
+}
+
+// Body: the raw file. Format comes from ?format=json|ndjson|csv or the Content-Type.
+// ?dryRun=true validates and matches rows without writing anything; ?force=true also
+// creates rows that duplicate a stored doc.
+app.post(
+  '/api/import/:collection',
+  requireRole('editor'),
+  express.text({ type: ['text/*', 'application/x-ndjson'], limit: '10mb' }),
+  async (req, res) => {
+    try {
+      const colName = req.params.collection;
+      if (!IMPORTABLE.includes(colName)) {
+        return res.status(400).json({ ok: false, error: `Import supports: ${IMPORTABLE.join(', ')}` });
+      }
+
+      const format = detectFormat(req.query.format, req.get('content-type'));
+      let records;
+      try {
+        if (Array.isArray(req.body)) records = req.body;
+        else if (typeof req.body === 'string') records = parseRecords(req.body, format);
+        else throw new Error('Send a JSON array, NDJSON or CSV body');
+      } catch (e) {
+        return res.status(400).json({ ok: false, error: e.message });
+      }
+      if (!records.length) return res.status(400).json({ ok: false, error: 'No rows to import' });
+
+      const dryRun = req.query.dryRun === 'true';
+      const force = req.query.force === 'true' || req.query.force === '1';
+      const report = await importRecords(req, colName, records, { dryRun, force });
+      res.json({ ok: true, collection: colName, format, dryRun, ...report });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  }
+);
+
+/* ───────────────────────────────
+   Export (JSON / NDJSON / CSV)
+   ─────────────────────────────── */
+const EXPORT_PAGE = 500;
+const shapeRawDoc = (d) => ({ id: d.id, ...d.data() }); // what the categories routes return
+
+const EXPORTS = {
+  [COL_ITEMS]: { shape: shapeItemDoc, filters: (q) => queryFilters(ITEM_FILTERS, q), searchable: true },
+  [COL_IMAGES]: { shape: shapeImageDoc, filters: (q) => queryFilters(IMAGE_FILTERS, q), searchable: true },
+  [COL_AICARDS]: { shape: shapeAiCardDoc, filters: (q) => queryFilters(AICARD_FILTERS, q) },
+  categories: { shape: shapeRawDoc },
+  // one row per item, with its groupId
+  basics: { shape: shapeGroupItem, iterate: () => iterateGroupItems('basics') },
+  recreate: { shape: shapeGroupItem, iterate: () => iterateGroupItems('recreate') },
+};
+
+// Walks the whole (filtered) collection in documentId order, one page at a time; a range
+// filter's field (filters.order) comes first.
+async function* iterateDocs(colName, apply = (qy) => qy, order) {
+  let last = null;
+  for (;;) {
+    let qy = apply(db.collection(colName));
+    if (order) qy = qy.orderBy(order.field, order.dir);
+    qy = qy.orderBy(admin.firestore.FieldPath.documentId()).limit(EXPORT_PAGE);
+    if (last) qy = qy.startAfter(last);
+    const snap = await qy.get();
+    for (const d of snap.docs) yield d;
+    if (snap.size < EXPORT_PAGE) return;
+    last = snap.docs[snap.docs.length - 1];
+  }
+}
+
+async function* iterateGroupItems(colName) {
+  for await (const g of iterateDocs(colName)) yield* iterateDocs(itemsOf(colName, g.id).path);
+}
+
+async function* iterateSearch(colName, q, keep) {
+  for (const d of (await searchDocs(colName, q)).docs) if (keep(d.data() || {})) yield d;
+}
+
+// ?format=json|ndjson|csv plus the list-route filters (category, saved, pub, status, q).
+// JSON and NDJSON are streamed; CSV is buffered because the header needs every column.
+app.get('/api/export/:collection', requireRole('viewer'), async (req, res) => {
   try {
-    const { groupId, itemId } = req.params;
-    const groupRef = db.collection('basics').doc(groupId);
-    const doc = await groupRef.get();
-    if (!doc.exists) return res.status(404).json({ error: 'Group not found' });
+    const colName = req.params.collection;
+    const def = EXPORTS[colName];
+    if (!def) return res.status(400).json({ ok: false, error: `Export supports: ${Object.keys(EXPORTS).join(', ')}` });
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({ ok: false, error: `format must be one of ${FORMATS.join(', ')}` });
+    }
+
+    const filters = def.filters ? def.filters(req.query) : null;
+    const q = def.searchable && typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const docs = q ? iterateSearch(colName, q, filters.keep) : def.iterate ? def.iterate() : iterateDocs(colName, filters?.apply, filters?.order);
 
-    let items = doc.data().items || [];
-    const idx = items.findIndex(i => i.id === itemId);
-    if (idx === -1) return res.status(404).json({ error: 'Item not found' });
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${colName}-${stamp}.${format}"`);
 
-    items[idx] = { ...items[idx], ...req.body };
-    await groupRef.update({ items });
+    if (format === 'csv') {
+      const rows = [];
+      for await (const d of docs) rows.push(def.shape(d));
+      return res.send(toCSV(rows));
+    }
 
-    res.json(items[idx]);
+    let first = true;
+    if (format === 'json') res.write('[\n');
+    for await (const d of docs) {
+      const line = JSON.stringify(def.shape(d));
+      res.write(format === 'json' ? `${first ? '' : ',\n'}${line}` : `${line}\n`);
+      first = false;
+    }
+    res.end(format === 'json' ? '\n]\n' : '');
   } catch (e) {
-    console.error('UPDATE ERROR', e);
-    res.status(500).json({ error: 'Update failed' });
+    console.error(e);
+    if (res.headersSent) return res.destroy(e); // mid-stream: the truncated download must not look complete
+    res.removeHeader('Content-Disposition');
+    res.status(e.status || 500).json({ ok: false, error: e.message });
   }
 });
 
-// ---------- DELETE PRODUCT ----------
-app.delete('/api/basics/:groupId/items/:itemId', async (req, res) => {
+/* ───────────────────────────────
+   Audit log
+   ─────────────────────────────── */
+// ?collection=&docId=&action=&uid=&from=&to=&limit=&cursor=
+app.get('/api/audit', requireRole('editor'), async (req, res) => {
   try {
-    const { groupId, itemId } = req.params;
-    const groupRef = db.collection('basics').doc(groupId);
-    const doc = await groupRef.get();
-    if (!doc.exists) return res.status(404).json({ error: 'Group not found' });
+    const { collection, docId, action, uid, from, to, cursor } = req.query;
+    if (action && !ACTIONS.includes(action)) {
+      return res.status(400).json({ ok: false, error: `action must be one of ${ACTIONS.join(', ')}` });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const { entries, nextCursor } = await queryAudit({ collection, docId, action, uid, from, to, limit, cursor });
+    res.json({ ok: true, count: entries.length, entries, nextCursor });
+  } catch (e) {
+    console.error(e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+/* ───────────────────────────────
+   Trash (soft-deleted recentItems, images, aiCards)
+   ─────────────────────────────── */
+// Days a doc stays in the trash before the purge job removes it; 0 keeps it forever.
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS ?? 30);
+const TRASH_PURGE_EVERY_MS = 6 * 60 * 60 * 1000;
 
-    const items = doc.data().items || [];
-    const filtered = items.filter(i => i.id !== itemId);
-    await groupRef.update({ items: filtered });
+const expiresAt = (deletedAt) =>
+  TRASH_RETENTION_DAYS > 0
+    ? new Date(Date.parse(deletedAt) + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    : null;
 
-    res.json({ deleted: true });
+// ?collection=&limit=&cursor=
+app.get('/api/trash', requireRole('editor'), async (req, res) => {
+  try {
+    const collection = req.query.collection ? String(req.query.collection) : '';
+    if (collection && !TRASHABLE.includes(collection)) {
+      return res.status(400).json({ ok: false, error: `collection must be one of ${TRASHABLE.join(', ')}` });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const { entries, nextCursor } = await listTrash({ collection, limit, cursor: req.query.cursor });
+    const items = entries.map((e) => ({ ...e, expiresAt: expiresAt(e.deletedAt) }));
+    res.json({ ok: true, count: items.length, items, retentionDays: TRASH_RETENTION_DAYS, nextCursor });
   } catch (e) {
-    console.error('DELETE ERROR', e);
-    res.status(500).json({ error: 'Delete failed' });
+    console.error(e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
   }
 });
 
-/*  recreate COLLECTION  */
-// ---------- LIST ALL GROUPS ----------
-app.get('/api/recreate', async (_req, res) => {
+app.post('/api/trash/:trashId/restore', requireRole('editor'), async (req, res) => {
   try {
-    const snap = await db.collection('recreate').get();
-    const data = snap.docs.map(d => ({ id: d.id, ...d.data() }));
-    res.json(data);
+    const { collection, docId, data } = await restoreFromTrash(req.params.trashId);
+    const snap = await db.collection(collection).doc(docId).get();
+    if (SEARCHABLE.includes(collection)) await indexDoc(collection, snap);
+    await countTags(collection, [{ before: null, after: data }]);
+    await recordAudit(req, { collection, docId, action: 'restore', after: data });
+    res.json({ ok: true, collection, id: docId });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: 'Fetch failed' });
+    res.status(e.status || 500).json({ ok: false, error: e.message });
   }
 });
 
-// ---------- CREATE / APPEND ----------
-app.post('/api/recreate/:groupId/items', async (req, res) => {
+// Permanent: the doc cannot be restored afterwards.
+app.delete('/api/trash/:trashId', requireRole('admin'), async (req, res) => {
   try {
-    const { groupId } = req.params;
-    const newItem = { ...req.body, id: req.body.id || Date.now().toString() };
-    const groupRef = db.collection('recreate').doc(groupId);
+    const entry = await purgeFromTrash(req.params.trashId);
+    if (!entry) return res.status(404).json({ ok: false, error: 'Not in trash' });
+    await recordAudit(req, { collection: entry.collection, docId: entry.docId, action: 'purge', before: entry.data });
+    if (entry.collection === COL_ITEMS) await deleteRevisions(COL_ITEMS, entry.docId);
+    res.json({ ok: true, collection: entry.collection, id: entry.docId });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
 
-    await groupRef.set({}, { merge: true });
-    await groupRef.update({ items: admin.firestore.FieldValue.arrayUnion(newItem) });
+async function purgeExpiredTrash() {
+  if (!(TRASH_RETENTION_DAYS > 0)) return;
+  try {
+    const purged = await purgeExpired(TRASH_RETENTION_DAYS);
+    for (const e of purged) {
+      await recordAudit(null, { collection: e.collection, docId: e.docId, action: 'purge', before: e.data });
+      if (e.collection === COL_ITEMS) await deleteRevisions(COL_ITEMS, e.docId);
+    }
+    if (purged.length) console.log(`🗑️  Purged ${purged.length} doc(s) older than ${TRASH_RETENTION_DAYS} days from the trash`);
+  } catch (e) {
+    console.error('TRASH PURGE ERROR', e);
+  }
+}
 
-    res.json(newItem);
+/* ───────────────────────────────
+   Product links (scraper and link checks, see products.js)
+   ─────────────────────────────── */
+// Links are rechecked once they are LINK_CHECK_HOURS old (0 turns the job off); each hourly
+// run checks at most LINK_CHECK_BATCH of them, oldest first.
+const LINK_CHECK_HOURS = Number(process.env.LINK_CHECK_HOURS ?? 24);
+const LINK_CHECK_BATCH = Number(process.env.LINK_CHECK_BATCH) || 200;
+const LINK_CHECK_EVERY_MS = 60 * 60 * 1000;
+
+// body: { link } — what the product page says, for the editor to fill in missing fields.
+// price is { amount, currency }, as recentItems products store it.
+app.post('/api/products/scrape', requireRole('editor'), async (req, res) => {
+  try {
+    const link = typeof req.body?.link === 'string' ? req.body.link.trim() : '';
+    if (!link) throw httpError(400, 'Validation failed', { errors: [{ path: 'link', message: 'is required' }] });
+    const product = await scrapeProduct(link);
+    res.json({ ok: true, product });
   } catch (e) {
-    console.error('CREATE ERROR', e);
-    res.status(500).json({ error: 'Create failed' });
+    sendError(res, e);
   }
 });
 
-// ---------- UPDATE ----------
-app.put('/api/recreate/:groupId/items/:itemId', async (req, res) => {
+// ?ref=recentItems/<docId> | basics/<groupId>/items/<itemId> — the checks of one doc's links;
+// ?flagged=true — dead links and price changes; otherwise the latest checks.
+app.get('/api/products/link-checks', requireRole('viewer'), async (req, res) => {
   try {
-    const { groupId, itemId } = req.params;
-    const groupRef = db.collection('recreate').doc(groupId);
-    const doc = await groupRef.get();
-    if (!doc.exists) return res.status(404).json({ error: 'Group not found' });
-
-    let items = doc.data().items || [];
-    const idx = items.findIndex(i => i.id === itemId);
-    if (idx === -1) return res.status(404).json({ error: 'Item not found' });
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const checks = await listLinkChecks({ ref: req.query.ref ? String(req.query.ref) : '', flagged: req.query.flagged === 'true', limit });
+    res.json({ ok: true, count: checks.length, checks });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
 
-    items[idx] = { ...items[idx], ...req.body };
-    await groupRef.update({ items });
+// The editor has seen the price change (and updated the product): clears the flag.
+app.post('/api/products/link-checks/:id/acknowledge', requireRole('editor'), async (req, res) => {
+  try {
+    const link = await acknowledgePrice(req.params.id);
+    if (!link) throw httpError(404, 'Not found');
+    res.json({ ok: true, id: req.params.id, link });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
 
-    res.json(items[idx]);
+// body: { limit? } — checks every link now instead of waiting for the job.
+app.post('/api/products/recheck', requireRole('admin'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.body?.limit, 10) || LINK_CHECK_BATCH, 1000);
+    res.json({ ok: true, ...(await recheckLinks({ limit })) });
   } catch (e) {
-    console.error('UPDATE ERROR', e);
-    res.status(500).json({ error: 'Update failed' });
+    sendError(res, e);
   }
 });
 
-// ---------- DELETE ----------
-app.delete('/api/recreate/:groupId/items/:itemId', async (req, res) => {
+// Runs again LINK_CHECK_EVERY_MS after the previous run ended, so a slow batch never
+// overlaps the next one.
+async function recheckProductLinks() {
   try {
-    const { groupId, itemId } = req.params;
-    const groupRef = db.collection('recreate').doc(groupId);
-    const doc = await groupRef.get();
-    if (!doc.exists) return res.status(404).json({ error: 'Group not found' });
+    const { checked, dead, priceChanged } = await recheckLinks({ limit: LINK_CHECK_BATCH, maxAgeMs: LINK_CHECK_HOURS * 60 * 60 * 1000 });
+    if (checked) console.log(`🔗 Checked ${checked} product link(s): ${dead} dead, ${priceChanged} new price change(s)`);
+  } catch (e) {
+    if (e.status !== 409) console.error('LINK CHECK ERROR', e); // 409: an admin recheck is running
+  } finally {
+    setTimeout(recheckProductLinks, LINK_CHECK_EVERY_MS).unref();
+  }
+}
+
+/* ───────────────────────────────
+   Prices (currencies and exchange rates, see prices.js)
+   ─────────────────────────────── */
+const PRICE_MIGRATE_CHUNK = 200; // docs per batch: each one is an update plus an audit entry
+
+// Rewrites recentItems product prices still stored as strings ("$49.99") as { amount, currency }
+// and stores priceTotal where it is missing or stale (e.g. after the rate table changed).
+// Strings that do not parse, or parse ambiguously ("49.99 - 59.99"), stay as they are. Every
+// rewrite is audited with a revision, so the original string can be restored. Admin-only,
+// from POST /api/prices/migrate. Returns { updated, unparsed }.
+async function migrateItemPrices(req) {
+  const snap = await db.collection(COL_ITEMS).get();
+  const updates = [];
+  let unparsed = 0;
+  for (const d of snap.docs) {
+    const raw = d.get('content.products');
+    const products = Array.isArray(raw) ? raw : [];
+    let changed = false;
+    const next = products.map((p) => {
+      if (typeof p?.price !== 'string' && typeof p?.price !== 'number') return p;
+      const price = parsePrice(p.price);
+      if (!price) {
+        unparsed++;
+        return p;
+      }
+      changed = true;
+      return { ...p, price };
+    });
+    const total = storedTotal(normProductsArray(next));
+    if (changed || JSON.stringify(total) !== JSON.stringify(d.get('priceTotal') ?? null)) {
+      updates.push([d, { ...(changed ? { 'content.products': next } : {}), priceTotal: total }]);
+    }
+  }
+  for (let i = 0; i < updates.length; i += PRICE_MIGRATE_CHUNK) {
+    const batch = db.batch();
+    const changes = updates.slice(i, i + PRICE_MIGRATE_CHUNK).map(([d, patch]) => {
+      batch.update(d.ref, patch);
+      const data = d.data();
+      const after = { ...data, content: { ...data.content, products: patch['content.products'] ?? data.content?.products }, priceTotal: patch.priceTotal };
+      batchAudit(batch, req, { collection: COL_ITEMS, docId: d.id, action: 'update', before: d, after });
+      return { docId: d.id, action: 'update', before: d, after };
+    });
+    await batch.commit();
+    await recordRevisions(req, COL_ITEMS, changes);
+  }
+  return { updated: updates.length, unparsed };
+}
 
-    const items = doc.data().items || [];
-    const filtered = items.filter(i => i.id !== itemId);
-    await groupRef.update({ items: filtered });
+// { base, rates, configured } — units of each currency per 1 base; configured is false
+// without EXCHANGE_RATES / EXCHANGE_RATES_FILE, when only same-currency prices add up.
+app.get('/api/prices/rates', requireRole('viewer'), (_req, res) => {
+  res.json({ ok: true, ...rateTable() });
+});
 
-    res.json({ deleted: true });
+// Runs the price migration: a one-time rewrite of string prices, audited.
+app.post('/api/prices/migrate', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ ok: true, ...(await migrateItemPrices(req)) });
   } catch (e) {
-    console.error('DELETE ERROR', e);
-    res.status(500).json({ error: 'Delete failed' });
+    sendError(res, e);
   }
 });
 
-/* ===========================
-   AI CARDS COLLECTION (CRUD)
-   =========================== */
-const COL_AICARDS = 'aiCards';
+/* ───────────────────────────────
+   Analytics (engagement counters, see analytics.js)
+   ─────────────────────────────── */
+// Today's snapshot is taken by the first check after midnight (UTC), or on start.
+const ANALYTICS_CHECK_MS = 60 * 60 * 1000;
+const TREND_DEFAULT_DAYS = 30;
+const TREND_MAX_DAYS = 366;
+
+const badParam = (path, message) => httpError(400, message, { path });
+
+// The ?collection= both analytics routes take; recentItems by default.
+function analyticsCollection(query) {
+  const colName = query.collection ? String(query.collection) : COL_ITEMS;
+  if (!ANALYZED[colName]) throw badParam('collection', `must be one of ${Object.keys(ANALYZED).join(', ')}`);
+  return colName;
+}
 
-// shape helper (converts Firestore Timestamp/ISO to ISO)
-function shapeAiCardDoc(d) {
-  const data = d.data() || {};
-  return {
-    id: d.id,
-    title: data.title || '',
-    image: data.image || data.imageUrl || '',
-    prompt: data.prompt || '',
-    link: data.link || '',
-    gender: data.gender || 'Unisex',
-    category: data.category || d.id, // fallback to doc id as category
-    createdAt: data.createdAt ? toISO(data.createdAt) : null,
-  };
+// ISO time or bare day ("2025-08-01") -> ISO string; '' when absent
+function isoParam(query, name) {
+  if (!query[name]) return '';
+  const ms = Date.parse(String(query[name]));
+  if (!Number.isFinite(ms)) throw badParam(name, 'must be a date, e.g. 2025-08-01');
+  return new Date(ms).toISOString();
 }
 
-// GET all cards
-app.get('/api/aicards', async (_req, res) => {
+// ?collection=&groupBy=category|tag|uploader&metric=views|likes|saves|shares|engagement
+// &top=10&limit=50&from=&to=&category=&tag= — totals, per-group rows and the top docs over
+// the docs created in [from, to) (all time without them). category and tag narrow the docs;
+// "(none)" is the group of docs without one.
+app.get('/api/analytics/summary', requireRole('viewer'), async (req, res) => {
   try {
-    let snap;
-    try {
-      // Prefer to order by createdAt if present
-      snap = await db.collection(COL_AICARDS).orderBy('createdAt', 'desc').get();
-    } catch {
-      // Fallback: order by doc ID (no index needed)
-      snap = await db.collection(COL_AICARDS)
-        .orderBy(admin.firestore.FieldPath.documentId(), 'desc')
-        .get();
-    }
-    const items = snap.docs.map(shapeAiCardDoc);
-    res.json(items); // return an array for simpler front-end
-  } catch (err) {
-    console.error('Error fetching aiCards:', err);
-    res.status(500).json({ error: 'Failed to fetch aiCards' });
+    const colName = analyticsCollection(req.query);
+    const groupBy = req.query.groupBy ? String(req.query.groupBy) : 'category';
+    if (!GROUP_BY.includes(groupBy)) throw badParam('groupBy', `must be one of ${GROUP_BY.join(', ')}`);
+    const metric = req.query.metric ? String(req.query.metric) : 'views';
+    if (!METRICS.includes(metric)) throw badParam('metric', `must be one of ${METRICS.join(', ')}`);
+    const from = isoParam(req.query, 'from');
+    const to = isoParam(req.query, 'to');
+    if (from && to && to <= from) throw badParam('to', 'must be after from');
+    const summary = await summarize(colName, {
+      groupBy,
+      metric,
+      top: Math.min(parseInt(req.query.top, 10) || 10, 100),
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 500),
+      from,
+      to,
+      category: req.query.category ? String(req.query.category) : '',
+      tag: req.query.tag ? String(req.query.tag) : '',
+    });
+    res.json({ ok: true, collection: colName, groupBy, metric, from: from || null, to: to || null, ...summary });
+  } catch (e) {
+    sendError(res, e);
   }
 });
 
-// GET one card by id (doc id)
-app.get('/api/aicards/:id', async (req, res) => {
+// ?collection=&from=&to=&category= — one point per daily snapshot with from <= date <= to
+// (YYYY-MM-DD; the last 30 days by default): the totals then and the change since the
+// snapshot before.
+app.get('/api/analytics/trends', requireRole('viewer'), async (req, res) => {
   try {
-    const ref = db.collection(COL_AICARDS).doc(req.params.id);
-    const snap = await ref.get();
-    if (!snap.exists) return res.status(404).json({ error: 'Not found' });
-    res.json(shapeAiCardDoc(snap));
-  } catch (err) {
-    console.error('Error fetching card:', err);
-    res.status(500).json({ error: 'Failed to fetch card' });
+    const colName = analyticsCollection(req.query);
+    const day = 24 * 60 * 60 * 1000;
+    const to = (isoParam(req.query, 'to') || new Date().toISOString()).slice(0, 10);
+    const from = (isoParam(req.query, 'from') || new Date(Date.parse(to) - (TREND_DEFAULT_DAYS - 1) * day).toISOString()).slice(0, 10);
+    if (to < from) throw badParam('to', 'must not be before from');
+    if (Date.parse(to) - Date.parse(from) >= TREND_MAX_DAYS * day) throw badParam('from', `The range can span at most ${TREND_MAX_DAYS} days`);
+    const category = req.query.category ? String(req.query.category) : '';
+    const points = await trend(colName, { from, to, category });
+    res.json({ ok: true, collection: colName, from, to, category: category || null, count: points.length, points });
+  } catch (e) {
+    sendError(res, e);
   }
 });
 
-// CREATE card
-app.post('/api/aicards', async (req, res) => {
+// Takes (or retakes) today's snapshot now.
+app.post('/api/analytics/snapshot', requireRole('admin'), async (_req, res) => {
   try {
-    const payload = {
-      title: String(req.body.title || ''),
-      image: String(req.body.image || ''),
-      prompt: String(req.body.prompt || ''),
-      link: String(req.body.link || ''),
-      gender: String(req.body.gender || 'Unisex'),
-      category: String(req.body.category || '').trim(),
-      // Use server timestamp; shapeAiCardDoc+toISO already handle Timestamp or ISO
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-    };
+    const snapshot = await takeSnapshot();
+    res.json({ ok: true, date: snapshot.date, takenAt: snapshot.takenAt });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
 
-    // Minimal validation
-    if (!payload.title) return res.status(400).json({ error: 'title is required' });
-    if (!payload.category) return res.status(400).json({ error: 'category is required' });
+async function snapshotAnalytics() {
+  try {
+    const snapshot = await snapshotIfDue();
+    if (snapshot) console.log(`📊 Took the analytics snapshot of ${snapshot.date}`);
+  } catch (e) {
+    console.error('ANALYTICS SNAPSHOT ERROR', e);
+  }
+}
 
-    const ref = await db.collection(COL_AICARDS).add(payload);
-    const snap = await ref.get();
-    res.status(201).json(shapeAiCardDoc(snap));
-  } catch (err) {
-    console.error('Error creating card:', err);
-    res.status(500).json({ error: 'Failed to create card' });
+/* ───────────────────────────────
+   Engagement (client app counters, see engagement.js)
+   ─────────────────────────────── */
+// Each client (user, or IP when anonymous) may report ENGAGEMENT_RATE_LIMIT times a minute.
+const ENGAGEMENT_RATE_LIMIT = Number(process.env.ENGAGEMENT_RATE_LIMIT) || 60;
+const engagementGuards = [optionalUser(), rateLimit({ name: 'engagement', max: ENGAGEMENT_RATE_LIMIT, windowMs: 60 * 1000 })];
+
+const signedIn = (req, what) => {
+  if (!req.user) throw httpError(401, `Sign in to ${what}`);
+  return req.user.uid;
+};
+
+// ?counter=likes|saves&limit= — what the signed-in user liked / saved, newest first.
+app.get('/api/engagement/me', engagementGuards, async (req, res) => {
+  try {
+    const counter = req.query.counter ? String(req.query.counter) : '';
+    if (counter && !PER_USER.includes(counter)) throw httpError(400, `counter must be one of ${PER_USER.join(', ')}`, { path: 'counter' });
+    const uid = signedIn(req, `list your ${counter || PER_USER.join(' and ')}`);
+    const items = await userEngagements(uid, counter, Math.min(parseInt(req.query.limit, 10) || 100, 500));
+    res.json({ ok: true, count: items.length, items });
+  } catch (e) {
+    sendError(res, e);
   }
 });
 
-// UPDATE card
-app.put('/api/aicards/:id', async (req, res) => {
+// { counters, mine } — mine says whether the signed-in user liked / saved the doc.
+app.get('/api/engagement/:collection/:id', engagementGuards, async (req, res) => {
   try {
-    const ref = db.collection(COL_AICARDS).doc(req.params.id);
-    const prev = await ref.get();
-    if (!prev.exists) return res.status(404).json({ error: 'Not found' });
-
-    // Keep original createdAt if not provided
-    const updates = {
-      ...(req.body.title != null ? { title: String(req.body.title) } : {}),
-      ...(req.body.image != null ? { image: String(req.body.image) } : {}),
-      ...(req.body.prompt != null ? { prompt: String(req.body.prompt) } : {}),
-      ...(req.body.link != null ? { link: String(req.body.link) } : {}),
-      ...(req.body.gender != null ? { gender: String(req.body.gender) } : {}),
-      ...(req.body.category != null ? { category: String(req.body.category) } : {}),
-      createdAt: prev.data().createdAt || admin.firestore.FieldValue.serverTimestamp(),
-    };
+    res.json({ ok: true, ...(await engagementState(req.params.collection, req.params.id, req.user?.uid)) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
 
-    await ref.set(updates, { merge: true });
-    const fresh = await ref.get();
-    res.json(shapeAiCardDoc(fresh));
-  } catch (err) {
-    console.error('Error updating card:', err);
-    res.status(500).json({ error: 'Failed to update card' });
+// views / shares: counts one more. likes / saves: the signed-in user likes / saves the doc
+// (again is a no-op). Answers { counter, value, counted, on? }.
+app.post('/api/engagement/:collection/:id/:counter', engagementGuards, async (req, res) => {
+  try {
+    const { collection, id, counter } = req.params;
+    const result = PER_USER.includes(counter)
+      ? await setPerUser(collection, id, counter, signedIn(req, `change ${counter}`), true)
+      : await countOnce(collection, id, counter);
+    res.json({ ok: true, counter, ...result });
+  } catch (e) {
+    sendError(res, e);
   }
 });
 
-// DELETE card
-app.delete('/api/aicards/:id', async (req, res) => {
+// likes / saves: takes the signed-in user's like / save back.
+app.delete('/api/engagement/:collection/:id/:counter', engagementGuards, async (req, res) => {
   try {
-    await db.collection(COL_AICARDS).doc(req.params.id).delete();
-    res.json({ success: true, id: req.params.id });
-  } catch (err) {
-    console.error('Error deleting card:', err);
-    res.status(500).json({ error: 'Failed to delete card' });
+    const { collection, id, counter } = req.params;
+    if (!PER_USER.includes(counter)) throw httpError(400, `${counter} can only be counted up`);
+    const result = await setPerUser(collection, id, counter, signedIn(req, `change ${counter}`), false);
+    res.json({ ok: true, counter, ...result });
+  } catch (e) {
+    sendError(res, e);
   }
 });
 
-// Route to add JSON data dynamically
-app.post("/addJsonData", async (req, res) => {
+/* ───────────────────────────────
+   Publishing (status workflow, see publishing.js)
+   ─────────────────────────────── */
+// How often scheduled docs are checked; they go live within this long of their publishAt.
+const PUBLISH_CHECK_MS = (Number(process.env.PUBLISH_CHECK_SECONDS) || 60) * 1000;
+const CALENDAR_MAX_DAYS = 366;
+
+const CALENDAR_SHAPES = {
+  [COL_ITEMS]: (d) => {
+    const it = shapeItemDoc(d);
+    return { title: it.title, category: it.category, image: it.thumbnail || it.image, editUrl: `edit.html?id=${encodeURIComponent(d.id)}` };
+  },
+  [COL_IMAGES]: (d) => {
+    const it = shapeImageDoc(d);
+    return { title: it.title, category: it.category, image: it.thumbnailUrl || it.imageUrl, editUrl: `edit-image.html?id=${encodeURIComponent(d.id)}` };
+  },
+  [COL_AICARDS]: (d) => {
+    const it = shapeAiCardDoc(d);
+    return { title: it.title, category: it.category, image: it.image, editUrl: 'aicards.html' };
+  },
+};
+
+let publishRunning = false; // a slow run is not overlapped by the next tick
+
+async function publishScheduled() {
+  if (publishRunning) return;
+  publishRunning = true;
   try {
-    const { collection, docId, data } = req.body;
+    const changes = await publishDue();
+    for (const c of changes) {
+      await recordAudit(null, { collection: c.collection, docId: c.docId, action: 'update', before: c.before, after: c.after });
+      if (c.collection === COL_ITEMS) await recordRevision(null, COL_ITEMS, { docId: c.docId, action: 'update', before: c.before, after: c.after });
+    }
+    if (changes.length) console.log(`📅 Published ${changes.length} scheduled doc(s)`);
+  } catch (e) {
+    console.error('PUBLISH ERROR', e);
+  } finally {
+    publishRunning = false;
+  }
+}
 
-    if (!collection || !data) {
-      return res.status(400).json({ success: false, error: "Collection and data are required!" });
+// ?from=&to=&collection= — docs with publishAt in [from, to) across the publishable
+// collections: scheduled ones still to go live and the ones already published in the range.
+// Dates are ISO strings or bare days ("2025-08-01"); the default is the next 31 days.
+app.get('/api/publishing/calendar', requireRole('viewer'), async (req, res) => {
+  try {
+    const day = 24 * 60 * 60 * 1000;
+    const fromMs = req.query.from ? Date.parse(req.query.from) : Date.parse(new Date().toISOString().slice(0, 10));
+    const toMs = req.query.to ? Date.parse(req.query.to) : fromMs + 31 * day;
+    if (!Number.isFinite(fromMs) || !Number.isFinite(toMs) || toMs <= fromMs) {
+      return res.status(400).json({ ok: false, error: 'from and to must be dates with from before to' });
+    }
+    if (toMs - fromMs > CALENDAR_MAX_DAYS * day) {
+      return res.status(400).json({ ok: false, error: `The range can span at most ${CALENDAR_MAX_DAYS} days` });
+    }
+    const collection = req.query.collection ? String(req.query.collection) : '';
+    if (collection && !PUBLISHABLE.includes(collection)) {
+      return res.status(400).json({ ok: false, error: `collection must be one of ${PUBLISHABLE.join(', ')}` });
     }
 
-    let docRef;
-    if (docId && docId.trim() !== "") {
-      // Add with custom Document ID
-      docRef = db.collection(collection).doc(docId);
-      await docRef.set(data, { merge: true });
-    } else {
-      // Auto-generate Document ID
-      docRef = await db.collection(collection).add(data);
+    const from = new Date(fromMs).toISOString();
+    const to = new Date(toMs).toISOString();
+    const items = [];
+    for (const c of collection ? [collection] : PUBLISHABLE) {
+      for (const d of await publishingBetween(c, from, to)) {
+        items.push({ collection: c, id: d.id, ...CALENDAR_SHAPES[c](d), ...shapePublishing(c, d.data()) });
+      }
     }
+    items.sort((a, b) => a.publishAt.localeCompare(b.publishAt));
+    res.json({ ok: true, from, to, statuses: STATUSES, count: items.length, items });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
 
-    res.json({ success: true, id: docRef.id || docId });
-  } catch (err) {
-    console.error("Error adding data:", err);
-    res.status(500).json({ success: false, error: err.message });
+// Stores the status of docs that predate the workflow: a one-off, audited (not run on start).
+app.post('/api/publishing/migrate', requireRole('admin'), async (req, res) => {
+  try {
+    const migrated = {};
+    for (const c of PUBLISHABLE) migrated[c] = await migrateStatus(req, c);
+    res.json({ ok: true, migrated });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+/* ───────────────────────────────
+   Search index maintenance
+   ─────────────────────────────── */
+// Backfills the search index, e.g. after importing docs outside the panel.
+app.post('/api/search/reindex', requireRole('admin'), async (req, res) => {
+  try {
+    const cols = req.body?.collection ? [String(req.body.collection)] : SEARCHABLE;
+    const bad = cols.find((c) => !SEARCHABLE.includes(c));
+    if (bad) return res.status(400).json({ ok: false, error: `Collection "${bad}" is not searchable` });
+
+    const indexed = {};
+    for (const c of cols) indexed[c] = await reindexCollection(c);
+    res.json({ ok: true, indexed });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+/* ───────────────────────────────
+   Tags (registry, rename / merge, see tags.js)
+   ─────────────────────────────── */
+const TAG_SUGGESTIONS = 10; // default ?limit with a prefix
+const TAG_SUGGESTIONS_MAX = 50;
+
+// Stores the tags of docs written before normalization in their normalized form, then
+// recounts the registry. A one-off for the admin (POST /api/tags/rebuild), not run on start.
+async function migrateTags(req) {
+  const normalized = await normalizeStoredTags(req);
+  return { normalized, ...(await rebuildTags()) };
+}
+
+// ?prefix=bo&limit= — the autocomplete: the tags starting with prefix, most used first.
+// Without prefix every tag, for the tags page. Each is { name, counts, total }.
+app.get('/api/tags', requireRole('viewer'), async (req, res) => {
+  try {
+    const prefix = typeof req.query.prefix === 'string' ? req.query.prefix : '';
+    const limit = normalizeTag(prefix)
+      ? Math.min(parseInt(req.query.limit, 10) || TAG_SUGGESTIONS, TAG_SUGGESTIONS_MAX)
+      : parseInt(req.query.limit, 10) || undefined;
+    const tags = await listTags({ prefix, limit });
+    res.json({ ok: true, count: tags.length, tags });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// body: { from: 'bohemian' | ['bohemian', 'boho chic'], to: 'boho' } — rewrites every
+// recentItem and image carrying one of `from` to carry `to` instead. A rename when `to` is
+// new, a merge into it otherwise. Answers { to, merged, moved: { <collection>: n } }.
+app.post('/api/tags/merge', requireRole('admin'), async (req, res) => {
+  try {
+    const from = normTags(req.body?.from);
+    const to = normalizeTag(req.body?.to);
+    const errors = [];
+    if (!from.length) errors.push({ path: 'from', message: 'must name at least one tag' });
+    if (!to) errors.push({ path: 'to', message: 'is required' });
+    if (to && from.length && from.every((t) => t === to)) errors.push({ path: 'to', message: 'must differ from the tags merged into it' });
+    if (errors.length) throw httpError(400, 'Validation failed', { errors });
+    const known = await Promise.all(from.map(getTag));
+    const unknown = from.filter((_t, i) => !known[i]);
+    if (unknown.length) throw httpError(404, `No document is tagged ${unknown.map((t) => `"${t}"`).join(', ')}`, { path: 'from' });
+
+    const merged = !!(await getTag(to));
+    const moved = await retag(req, from, to);
+    await rebuildTags();
+    res.json({ ok: true, to, merged, moved });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Runs the tag migration now (normalize stored tags, audited; recount the registry).
+app.post('/api/tags/rebuild', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ ok: true, ...(await migrateTags(req)) });
+  } catch (e) {
+    sendError(res, e);
   }
 });
 
+/* ───────────────────────────────
+   Duplicates (same source URL or legacy id, see duplicates.js)
+   ─────────────────────────────── */
+const DEDUPED_SHAPES = { [COL_ITEMS]: shapeItemDoc, [COL_IMAGES]: shapeImageDoc };
+
+const dedupedCollection = (req) => {
+  const c = req.params.collection;
+  if (!DEDUPED[c]) throw httpError(400, `collection must be one of ${Object.keys(DEDUPED).join(', ')}`);
+  return c;
+};
+
+// { groups: [{ field, value, items }] } — every source URL / id stored more than once, the
+// oldest doc first.
+app.get('/api/duplicates/:collection', requireRole('viewer'), async (req, res) => {
+  try {
+    const collection = dedupedCollection(req);
+    const groups = (await duplicateGroups(collection))
+      .filter((g) => g.docs.length > 1)
+      .map(({ field, value, docs }) => ({ field, value, items: docs.map(DEDUPED_SHAPES[collection]) }));
+    res.json({ ok: true, collection, count: groups.length, groups });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
 
+// body: { keep, ids } — merges the docs `ids` into `keep` (blank fields filled, counters
+// added up, tags joined) and moves them to the trash. Deleting a duplicate without merging
+// is the collection's batch delete.
+app.post('/api/duplicates/:collection/merge', requireRole('editor'), async (req, res) => {
+  try {
+    const collection = dedupedCollection(req);
+    const keep = typeof req.body?.keep === 'string' ? req.body.keep.trim() : '';
+    if (!keep) throw httpError(400, 'is required', { path: 'keep' });
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids : [];
+    await mergeDuplicates(req, collection, keep, ids);
+    const snap = await db.collection(collection).doc(keep).get();
+    res.json({ ok: true, collection, id: keep, item: DEDUPED_SHAPES[collection](snap) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
 
 /* ───────────────────────────────
    Test & health
    ─────────────────────────────── */
-app.get('/api/test', async (_req, res) => {
+app.get('/api/test', requireRole('admin'), async (_req, res) => {
   try {
     const snapshot = await db.collection('test').limit(1).get();
     const data = snapshot.docs.map((doc) => doc.data());
@@ -851,4 +2025,11 @@ app.get('/api/health', (_req, res) => res.json({ ok: true, now: new Date().toISO
 const PORT = process.env.PORT || 4000;
 app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
+  purgeExpiredTrash();
+  setInterval(purgeExpiredTrash, TRASH_PURGE_EVERY_MS).unref();
+  publishScheduled();
+  setInterval(publishScheduled, PUBLISH_CHECK_MS).unref();
+  if (LINK_CHECK_HOURS > 0) setTimeout(recheckProductLinks, LINK_CHECK_EVERY_MS).unref();
+  snapshotAnalytics();
+  setInterval(snapshotAnalytics, ANALYTICS_CHECK_MS).unref();
 });
@@ -0,0 +1,164 @@
+import fs from 'fs/promises';
+
+/* =======================================================================================
+ * Instagram post ingestion
+ *
+ * postDraft(url) turns an Instagram post URL into recentItem fields — title, description,
+ * image, thumbnail and the caption's hashtags as tags — for the editor to review.
+ *
+ * INSTAGRAM_FETCHER picks where the post data comes from:
+ *   oembed  Meta's instagram_oembed endpoint; needs INSTAGRAM_OEMBED_TOKEN ("appId|clientToken").
+ *           The default when the token is set.
+ *   web     the public post page's OpenGraph tags. The default otherwise.
+ *   mock    offline: INSTAGRAM_MOCK_FILE (JSON, shortcode -> { caption, image, thumbnail,
+ *           author }) or a placeholder post, for development without network access.
+ * Every fetcher: fetch(post) -> { caption, image, thumbnail, author }, where post is the
+ * { code, url } parseInstagramUrl() returns.
+ * ======================================================================================= */
+const TIMEOUT_MS = Number(process.env.INSTAGRAM_TIMEOUT_MS) || 8000;
+const OEMBED_URL = 'https://graph.facebook.com/v19.0/instagram_oembed';
+const HOSTS = ['instagram.com', 'www.instagram.com', 'm.instagram.com', 'instagr.am'];
+const KINDS = ['p', 'reel', 'reels', 'tv'];
+const TITLE_MAX = 80;
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// { code, url } with url in the canonical https://www.instagram.com/p/<code>/ form; throws a
+// 400 for anything that is not a post, reel or IGTV link.
+function parseInstagramUrl(raw) {
+  let u;
+  try {
+    u = new URL(String(raw ?? '').trim());
+  } catch {
+    throw Object.assign(httpError(400, 'must be an Instagram post URL'), { path: 'instagramUrl' });
+  }
+  const [kind, code] = u.pathname.split('/').filter(Boolean);
+  if (!HOSTS.includes(u.hostname.toLowerCase()) || !KINDS.includes(kind) || !/^[\w-]+$/.test(code || '')) {
+    throw Object.assign(httpError(400, 'must be an Instagram post URL'), { path: 'instagramUrl' });
+  }
+  return { code, url: `https://www.instagram.com/p/${code}/` };
+}
+
+// The ways the same post may already be stored in instagramUrl (at most 30, for an 'in' query)
+function urlVariants(raw, { code }) {
+  const hosts = ['www.instagram.com', 'instagram.com'];
+  const variants = KINDS.flatMap((kind) =>
+    hosts.flatMap((h) => [`https://${h}/${kind}/${code}/`, `https://${h}/${kind}/${code}`])
+  );
+  return [...new Set([String(raw).trim(), ...variants])].slice(0, 30);
+}
+
+async function fetchWithTimeout(url, init) {
+  const res = await fetch(url, { ...init, signal: AbortSignal.timeout(TIMEOUT_MS) });
+  if (!res.ok) throw httpError(502, `Instagram answered HTTP ${res.status}`);
+  return res;
+}
+
+/* ---- fetchers ---- */
+function oembedFetcher(token) {
+  return {
+    name: 'oembed',
+    async fetch({ url }) {
+      const qs = new URLSearchParams({ url, access_token: token, omitscript: 'true' });
+      const data = await (await fetchWithTimeout(`${OEMBED_URL}?${qs}`)).json();
+      return { caption: data.title || '', image: data.thumbnail_url || '', thumbnail: data.thumbnail_url || '', author: data.author_name || '' };
+    },
+  };
+}
+
+const decodeEntities = (s) =>
+  s
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+
+function metaTags(html) {
+  const tags = {};
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const key = /\b(?:property|name)=["']([^"']+)["']/i.exec(tag)?.[1];
+    const content = /\bcontent=["']([^"']*)["']/i.exec(tag)?.[1];
+    if (key && content != null && !(key in tags)) tags[key] = decodeEntities(content);
+  }
+  return tags;
+}
+
+// og:title is 'Name on Instagram: "caption"' and og:description
+// '12 likes, 3 comments - name on June 1, 2024: "caption"'; the caption is the quoted part.
+const quoted = (s) => /:\s*["“]([\s\S]*)["”]\s*\.?\s*$/.exec(s || '')?.[1];
+
+function webFetcher() {
+  return {
+    name: 'web',
+    async fetch({ url }) {
+      const html = await (await fetchWithTimeout(url, { headers: { 'user-agent': 'Mozilla/5.0 (compatible; panel-ingest)', accept: 'text/html' } })).text();
+      const og = metaTags(html);
+      if (!og['og:image'] && !og['og:description']) throw httpError(502, 'The post page has no preview data (private or removed post?)');
+      const caption = quoted(og['og:title']) ?? quoted(og['og:description']) ?? og['og:description'] ?? '';
+      return { caption, image: og['og:image'] || '', thumbnail: og['og:image'] || '', author: /^(.+?) on Instagram/.exec(og['og:title'] || '')?.[1] || '' };
+    },
+  };
+}
+
+function mockFetcher(file) {
+  let posts;
+  return {
+    name: 'mock',
+    async fetch({ code }) {
+      posts ??= file ? JSON.parse(await fs.readFile(file, 'utf8')) : {};
+      if (posts[code]) return { caption: '', image: '', thumbnail: '', author: '', ...posts[code] };
+      const image = `https://picsum.photos/seed/${code}/1080/1350`;
+      return { caption: `Mock post ${code}\nSample caption #mock #outfit`, image, thumbnail: image, author: 'mock' };
+    },
+  };
+}
+
+const driver = process.env.INSTAGRAM_FETCHER || (process.env.INSTAGRAM_OEMBED_TOKEN ? 'oembed' : 'web');
+const instagramFetcher =
+  driver === 'mock'
+    ? mockFetcher(process.env.INSTAGRAM_MOCK_FILE)
+    : driver === 'oembed'
+    ? oembedFetcher(process.env.INSTAGRAM_OEMBED_TOKEN)
+    : webFetcher();
+
+/* ---- caption -> fields ---- */
+const HASHTAG = /#([\p{L}\p{N}_]+)/gu;
+
+const hashtags = (text) => [...new Set([...String(text || '').matchAll(HASHTAG)].map((m) => m[1].toLowerCase()))];
+
+// Title: the caption's first line without hashtags, cut at a word near TITLE_MAX.
+// Description: the caption without its trailing block of hashtags.
+function captionFields(caption) {
+  const text = String(caption || '').trim();
+  const description = text.replace(/(?:\s*#[\p{L}\p{N}_]+)+\s*$/u, '').trim();
+  let title = (description.split('\n').find((l) => l.trim()) || '').replace(HASHTAG, '').replace(/\s+/g, ' ').trim();
+  if (title.length > TITLE_MAX) {
+    const cut = title.lastIndexOf(' ', TITLE_MAX);
+    title = `${title.slice(0, cut > 0 ? cut : TITLE_MAX)}…`;
+  }
+  return { title, description, tags: hashtags(text) };
+}
+
+// { instagramUrl, title, description, image, thumbnail, tags, author } for a post URL
+async function postDraft(raw) {
+  const post = parseInstagramUrl(raw);
+  let data;
+  try {
+    data = await instagramFetcher.fetch(post);
+  } catch (e) {
+    if (e.status) throw e;
+    throw httpError(502, `Could not fetch the post: ${e.message}`);
+  }
+  return {
+    instagramUrl: post.url,
+    ...captionFields(data.caption),
+    image: data.image || '',
+    thumbnail: data.thumbnail || data.image || '',
+    author: data.author || '',
+  };
+}
+
+export { instagramFetcher, parseInstagramUrl, urlVariants, hashtags, captionFields, postDraft };
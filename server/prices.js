@@ -0,0 +1,128 @@
+import fs from 'fs';
+
+/* =======================================================================================
+ * Prices — { amount, currency } with an ISO 4217 currency code
+ *
+ * parsePrice() reads what editors, imports and shops write: "$49.99", "₹1,299", "49,99 €",
+ * "EUR 49.99", 49.99 (in DEFAULT_CURRENCY) or an { amount, currency } object.
+ *
+ * Conversion uses a rate table, from EXCHANGE_RATES (JSON) or the EXCHANGE_RATES_FILE it
+ * names: { "base": "USD", "rates": { "EUR": 0.92, "INR": 83.2 } } — units per 1 base.
+ * Without a table only same-currency amounts add up. BASE_CURRENCY is the table's base, or
+ * DEFAULT_CURRENCY (PRICE_DEFAULT_CURRENCY, "USD") without one; stored totals are in it.
+ * ======================================================================================= */
+const DEFAULT_CURRENCY = (process.env.PRICE_DEFAULT_CURRENCY || 'USD').toUpperCase();
+
+// Longest first, so "R$" wins over "$"
+const SYMBOLS = [
+  ['US$', 'USD'], ['A$', 'AUD'], ['C$', 'CAD'], ['NZ$', 'NZD'], ['HK$', 'HKD'], ['S$', 'SGD'], ['R$', 'BRL'],
+  ['Rs.', 'INR'], ['Rs', 'INR'], ['zł', 'PLN'], ['Kč', 'CZK'],
+  ['$', 'USD'], ['€', 'EUR'], ['£', 'GBP'], ['₹', 'INR'], ['¥', 'JPY'], ['₩', 'KRW'], ['₺', 'TRY'], ['₽', 'RUB'],
+  ['₫', 'VND'], ['₱', 'PHP'], ['₪', 'ILS'], ['฿', 'THB'], ['₦', 'NGN'], ['₴', 'UAH'],
+];
+// Codes recognised in price strings ("49.99 EUR"); other three-letter words ("VAT") are not.
+const CODES = new Set([
+  ...SYMBOLS.map(([, code]) => code),
+  ...'AED ARS CHF CLP CNY COP DKK EGP IDR KES KWD MAD MXN MYR NOK PKR QAR SAR SEK TWD ZAR'.split(' '),
+]);
+
+function loadRates() {
+  try {
+    const raw = process.env.EXCHANGE_RATES || (process.env.EXCHANGE_RATES_FILE && fs.readFileSync(process.env.EXCHANGE_RATES_FILE, 'utf8'));
+    if (!raw) return null;
+    const { base, rates } = JSON.parse(raw);
+    const table = { base: String(base).toUpperCase(), rates: {} };
+    for (const [code, rate] of Object.entries(rates || {})) {
+      if (Number(rate) > 0) table.rates[code.toUpperCase()] = Number(rate);
+    }
+    table.rates[table.base] = 1;
+    Object.keys(table.rates).forEach((code) => CODES.add(code));
+    return table;
+  } catch (e) {
+    console.error('EXCHANGE RATES ERROR', e.message);
+    return null;
+  }
+}
+
+const RATES = loadRates();
+const BASE_CURRENCY = RATES?.base || DEFAULT_CURRENCY;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// The currency code in a price string ("49.99 EUR"), if any
+const codeIn = (s) => s.toUpperCase().match(/\b[A-Z]{3}\b/g)?.find((c) => CODES.has(c));
+
+// `s` without its currency code and symbol: "Rs. 1299" -> " 1299", not ". 1299"
+function withoutCurrency(s) {
+  const code = codeIn(s);
+  let rest = code ? s.replace(new RegExp(`\\b${code}\\b`, 'i'), ' ') : s;
+  const sym = SYMBOLS.find(([symbol]) => rest.includes(symbol))?.[0];
+  if (sym) rest = rest.replace(sym, ' ');
+  return rest.trim();
+}
+
+// "1.299,00" and "1,299.00" both mean 1299; a lone separator followed by three digits is
+// read as thousands. Strings are read without their currency; anything else left around
+// the number ("49.99 - 59.99", "2 for 30", "approx. 40") is ambiguous and gives null.
+function parseAmount(v) {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  const s = withoutCurrency(String(v ?? ''));
+  if (!/^(\d[\d.,]*|[.,]\d+)$/.test(s)) return null;
+  const lastSep = Math.max(s.lastIndexOf('.'), s.lastIndexOf(','));
+  const decimals = lastSep >= 0 && s.length - lastSep - 1 !== 3 ? s.slice(lastSep + 1) : '';
+  const whole = (decimals ? s.slice(0, lastSep) : s).replace(/[.,]/g, '');
+  const n = Number(decimals ? `${whole}.${decimals}` : whole);
+  return Number.isFinite(n) ? n : null;
+}
+
+// { amount, currency } or null when there is no usable amount. An explicit code ("EUR")
+// wins over a symbol; neither means `fallback`.
+function parsePrice(v, fallback = DEFAULT_CURRENCY) {
+  if (v == null || v === '') return null;
+  if (typeof v === 'object') {
+    const amount = parseAmount(v.amount);
+    if (amount == null || amount < 0) return null;
+    return { amount: round2(amount), currency: v.currency ? String(v.currency).trim().toUpperCase() : fallback };
+  }
+  const s = String(v).trim();
+  if (/^-/.test(s)) return null;
+  const amount = parseAmount(s);
+  if (amount == null) return null;
+  const currency = codeIn(s) ?? SYMBOLS.find(([sym]) => s.includes(sym))?.[1] ?? fallback;
+  return { amount: round2(amount), currency };
+}
+
+const validCurrency = (code) => /^[A-Z]{3}$/.test(code);
+
+// `price` in `currency`, or null when the table has no rate for one of them
+function convert(price, currency) {
+  if (!price) return null;
+  if (price.currency === currency) return price;
+  const from = RATES?.rates[price.currency];
+  const to = RATES?.rates[currency];
+  if (!from || !to) return null;
+  return { amount: round2((price.amount / from) * to), currency };
+}
+
+// { amount, currency, counted, missing }: the sum of the products' prices in `currency`
+// (default: their common currency, or BASE_CURRENCY when they differ). `missing` counts
+// products without a price or without a rate to convert it.
+function totalPrice(products, currency) {
+  const prices = (products || []).map((p) => p?.price).filter(Boolean);
+  const target = currency || (prices.length && prices.every((p) => p.currency === prices[0].currency) ? prices[0].currency : BASE_CURRENCY);
+  let amount = 0;
+  let counted = 0;
+  for (const p of prices) {
+    const c = convert(p, target);
+    if (!c) continue;
+    amount += c.amount;
+    counted++;
+  }
+  return { amount: round2(amount), currency: target, counted, missing: (products || []).length - counted };
+}
+
+const formatPrice = (price) => (price ? `${price.amount} ${price.currency}` : '');
+
+const rateTable = () => ({ base: BASE_CURRENCY, rates: RATES?.rates ?? { [BASE_CURRENCY]: 1 }, configured: !!RATES });
+
+export { DEFAULT_CURRENCY, BASE_CURRENCY, parseAmount, parsePrice, validCurrency, convert, totalPrice, formatPrice, rateTable };
@@ -0,0 +1,340 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import zlib from 'zlib';
+import { db } from './firebase.js';
+import { GROUPED, SUB_ITEMS } from './groups.js';
+import { parsePrice } from './prices.js';
+
+/* =======================================================================================
+ * Product links — metadata scraper and link checks
+ *
+ * scrapeProduct(link) reads a product page and returns what it says about the product:
+ *   { link, brand, name, image, price: { amount, currency } | null }
+ * taken from schema.org Product data (JSON-LD or microdata) first, then OpenGraph tags.
+ *
+ * Links used by recentItems content.products and basics/recreate items are rechecked by
+ * recheckLinks(), which index.js runs on a timer. Results live apart from the content, one
+ * doc per link, so editing a product never loses them:
+ *   linkChecks/{sha1(link)}: { link, refs, checkedAt, httpStatus, ok, dead, failures,
+ *                              price, previousPrice, priceChanged, priceChangedAt, error }
+ *   refs   where the link is used: "recentItems/<docId>" or "basics/<groupId>/items/<itemId>"
+ *   dead   the page is gone (404/410) or failed DEAD_AFTER checks in a row
+ * ======================================================================================= */
+const COL_LINK_CHECKS = 'linkChecks';
+const TIMEOUT_MS = Number(process.env.PRODUCT_FETCH_TIMEOUT_MS) || 10000;
+const MAX_HTML = 2 * 1024 * 1024; // product pages are big, but the metadata sits in the first MBs
+const DEAD_AFTER = 3;
+const GONE = [404, 410];
+const USER_AGENT = 'Mozilla/5.0 (compatible; panel-product-check)';
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+const checkId = (link) => crypto.createHash('sha1').update(link).digest('hex');
+
+/* ---- fetching ---- */
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges. BlockList also matches
+// IPv4-mapped IPv6 forms of the IPv4 ones ("::ffff:127.0.0.1", "::ffff:7f00:1").
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([net4, prefix]) => PRIVATE_RANGES.addSubnet(net4, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([net6, prefix]) => PRIVATE_RANGES.addSubnet(net6, prefix, 'ipv6'));
+
+const isPrivateIp = (ip) => {
+  const type = net.isIPv4(ip) ? 'ipv4' : net.isIPv6(ip) ? 'ipv6' : null;
+  return !type || PRIVATE_RANGES.check(ip, type);
+};
+
+const notPublic = () => Object.assign(httpError(400, 'must point to a public site'), { path: 'link' });
+
+// Editors may paste any URL; the server must not be used to reach its own network.
+function assertPublicUrl(link) {
+  let u;
+  try {
+    u = new URL(link);
+  } catch {
+    throw Object.assign(httpError(400, 'must be an http(s) URL'), { path: 'link' });
+  }
+  if (!['http:', 'https:'].includes(u.protocol)) throw Object.assign(httpError(400, 'must be an http(s) URL'), { path: 'link' });
+  const host = u.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateIp(host)) throw notPublic();
+  return u;
+}
+
+// dns.lookup for the sockets below: the connection goes to the address checked here, so a
+// name cannot resolve to a public address for the check and a private one for the request.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addrs) => {
+    if (err || !addrs.length) return callback(err || httpError(502, `Cannot resolve ${hostname}`));
+    if (addrs.some((a) => isPrivateIp(a.address))) return callback(notPublic());
+    if (options.all) callback(null, addrs);
+    else callback(null, addrs[0].address, addrs[0].family);
+  });
+}
+
+// One GET, not following redirects; resolves to the response with its body decompressed.
+function get(u) {
+  return new Promise((resolve, reject) => {
+    const req = (u.protocol === 'https:' ? https : http).get(u, {
+      lookup: publicLookup,
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+      headers: { 'user-agent': USER_AGENT, accept: 'text/html,application/xhtml+xml', 'accept-encoding': 'gzip, deflate, br' },
+    });
+    req.on('error', reject);
+    req.on('response', (res) => {
+      const decode = { gzip: zlib.createGunzip, deflate: zlib.createInflate, br: zlib.createBrotliDecompress }[res.headers['content-encoding']];
+      const body = decode ? res.pipe(decode()) : res;
+      if (decode) res.on('error', (e) => body.destroy(e));
+      resolve({ status: res.statusCode, location: res.headers.location, body });
+    });
+  });
+}
+
+// Redirects are followed by hand so every hop goes through assertPublicUrl.
+async function fetchPage(link, hops = 5) {
+  let url = link;
+  for (let i = 0; i <= hops; i++) {
+    const res = await get(assertPublicUrl(url));
+    const next = res.status >= 300 && res.status < 400 && res.location;
+    if (!next) return { res, url };
+    res.body.destroy();
+    url = new URL(next, url).href;
+  }
+  throw httpError(502, 'Too many redirects');
+}
+
+async function readHtml(res) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res.body) {
+    chunks.push(chunk);
+    size += chunk.length;
+    if (size >= MAX_HTML) break; // leaving the loop destroys the stream
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/* ---- parsing ---- */
+const decodeEntities = (s) =>
+  String(s)
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .trim();
+
+function metaTags(html) {
+  const tags = {};
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const key = /\b(?:property|name|itemprop)=["']([^"']+)["']/i.exec(tag)?.[1]?.toLowerCase();
+    const content = /\bcontent=["']([^"']*)["']/i.exec(tag)?.[1];
+    if (key && content != null && !(key in tags)) tags[key] = decodeEntities(content);
+  }
+  return tags;
+}
+
+// Every schema.org Product in the page's JSON-LD blocks, @graph and nested lists included.
+function ldProducts(html) {
+  const found = [];
+  const walk = (node) => {
+    if (Array.isArray(node)) return node.forEach(walk);
+    if (!node || typeof node !== 'object') return;
+    const type = [].concat(node['@type'] || []);
+    if (type.some((t) => /Product(Group)?$/.test(t))) found.push(node);
+    if (node['@graph']) walk(node['@graph']);
+  };
+  for (const [, json] of html.matchAll(/<script\b[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)) {
+    try {
+      walk(JSON.parse(json.trim()));
+    } catch {
+      // broken JSON-LD is common; the other sources still apply
+    }
+  }
+  return found;
+}
+
+const firstString = (v) => {
+  if (v == null) return '';
+  if (Array.isArray(v)) return firstString(v[0]);
+  if (typeof v === 'object') return firstString(v.name ?? v.url ?? v.contentUrl);
+  return decodeEntities(v);
+};
+
+function ldPrice(product) {
+  const offers = [].concat(product.offers || []).flatMap((o) => (o?.offers ? [].concat(o.offers) : [o]));
+  for (const o of offers) {
+    const amount = o?.price ?? o?.lowPrice ?? o?.priceSpecification?.price;
+    const price = parsePrice({ amount, currency: o?.priceCurrency ?? o?.priceSpecification?.priceCurrency });
+    if (price) return price;
+  }
+  return null;
+}
+
+function parseProduct(html, link) {
+  const ld = ldProducts(html)[0] || {};
+  const meta = metaTags(html);
+  const metaPrice = parsePrice({
+    amount: meta['product:price:amount'] ?? meta['og:price:amount'] ?? meta['price'],
+    currency: meta['product:price:currency'] ?? meta['og:price:currency'] ?? meta['pricecurrency'],
+  });
+  const image = firstString(ld.image) || meta['og:image'] || meta['twitter:image'] || '';
+  return {
+    link,
+    brand: firstString(ld.brand) || meta['product:brand'] || meta['og:brand'] || meta['og:site_name'] || '',
+    name: firstString(ld.name) || meta['og:title'] || meta['twitter:title'] || '',
+    image: image ? new URL(image, link).href : '',
+    price: ldPrice(ld) ?? metaPrice,
+  };
+}
+
+// { link, brand, name, image, price } for a product page; link is where redirects ended.
+async function scrapeProduct(link) {
+  let page;
+  try {
+    page = await fetchPage(link);
+  } catch (e) {
+    if (e.status) throw e;
+    throw httpError(502, `Could not fetch the page: ${e.message}`);
+  }
+  const { res, url } = page;
+  if (res.status < 200 || res.status >= 300) {
+    res.body.destroy();
+    throw Object.assign(httpError(502, `The page answered HTTP ${res.status}`), { httpStatus: res.status });
+  }
+  return parseProduct(await readHtml(res), url);
+}
+
+/* ---- link checks ---- */
+// Map link -> refs for every product link in use
+async function collectLinks() {
+  const links = new Map();
+  const add = (link, ref) => {
+    if (typeof link !== 'string' || !/^https?:\/\//i.test(link)) return;
+    links.set(link, [...(links.get(link) || []), ref]);
+  };
+  const items = await db.collection('recentItems').select('content').get();
+  items.docs.forEach((d) => (d.get('content')?.products || []).forEach((p) => add(p?.link, `recentItems/${d.id}`)));
+  const groupItems = await db.collectionGroup(SUB_ITEMS).select('url').get();
+  groupItems.docs
+    .filter((d) => GROUPED.includes(d.ref.path.split('/')[0]))
+    .forEach((d) => add(d.get('url'), d.ref.path));
+  return links;
+}
+
+async function checkLink(link, refs, prev) {
+  const at = new Date().toISOString();
+  const base = { link, refs: [...new Set(refs)], checkedAt: at };
+  try {
+    const product = await scrapeProduct(link);
+    const price = product.price;
+    const changed = !!(price && prev?.price && (price.amount !== prev.price.amount || price.currency !== prev.price.currency));
+    return {
+      ...base,
+      httpStatus: 200,
+      ok: true,
+      dead: false,
+      failures: 0,
+      error: null,
+      price: price ?? prev?.price ?? null,
+      previousPrice: changed ? prev.price : prev?.previousPrice ?? null,
+      priceChanged: changed || !!prev?.priceChanged,
+      priceChangedAt: changed ? at : prev?.priceChangedAt ?? null,
+    };
+  } catch (e) {
+    const failures = (prev?.failures || 0) + 1;
+    return {
+      ...base,
+      httpStatus: e.httpStatus ?? null,
+      ok: false,
+      dead: GONE.includes(e.httpStatus) || failures >= DEAD_AFTER,
+      failures,
+      error: e.message,
+      price: prev?.price ?? null,
+      previousPrice: prev?.previousPrice ?? null,
+      priceChanged: !!prev?.priceChanged,
+      priceChangedAt: prev?.priceChangedAt ?? null,
+    };
+  }
+}
+
+let checking = false; // one run at a time: the timer and the admin route share the docs
+
+// Checks up to `limit` links, the ones not checked for longest first, skipping those checked
+// within `maxAgeMs`. Returns { checked, dead, priceChanged }; a 409 while a run is going on.
+async function recheckLinks(options) {
+  if (checking) throw httpError(409, 'A link check is already running');
+  checking = true;
+  try {
+    return await checkDueLinks(options);
+  } finally {
+    checking = false;
+  }
+}
+
+async function checkDueLinks({ limit = 200, maxAgeMs = 0 } = {}) {
+  const links = await collectLinks();
+  const refs = [...links.keys()].map((l) => db.collection(COL_LINK_CHECKS).doc(checkId(l)));
+  const prev = new Map();
+  for (let i = 0; i < refs.length; i += 300) {
+    (await db.getAll(...refs.slice(i, i + 300))).forEach((d) => d.exists && prev.set(d.get('link'), d.data()));
+  }
+
+  const now = Date.now();
+  const due = [...links.keys()]
+    .filter((l) => !prev.has(l) || now - Date.parse(prev.get(l).checkedAt) >= maxAgeMs)
+    .sort((a, b) => (prev.get(a)?.checkedAt || '').localeCompare(prev.get(b)?.checkedAt || ''))
+    .slice(0, limit);
+
+  const done = { checked: 0, dead: 0, priceChanged: 0 };
+  for (const link of due) {
+    const check = await checkLink(link, links.get(link), prev.get(link));
+    await db.collection(COL_LINK_CHECKS).doc(checkId(link)).set(check);
+    done.checked++;
+    if (check.dead) done.dead++;
+    if (check.priceChanged && !prev.get(link)?.priceChanged) done.priceChanged++;
+  }
+  return done;
+}
+
+// Checks of the links one doc uses (`ref` as in refs), the flagged ones (dead or price
+// changed), or the latest ones. Each query is on a single field, so no composite index.
+async function listLinkChecks({ ref, flagged, limit = 100 } = {}) {
+  const col = db.collection(COL_LINK_CHECKS);
+  let docs;
+  if (ref) docs = (await col.where('refs', 'array-contains', ref).get()).docs;
+  else if (flagged) {
+    const [dead, changed] = await Promise.all([col.where('dead', '==', true).get(), col.where('priceChanged', '==', true).get()]);
+    docs = [...new Map([...dead.docs, ...changed.docs].map((d) => [d.id, d])).values()];
+  } else docs = (await col.orderBy('checkedAt', 'desc').limit(limit).get()).docs;
+  return docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .filter((c) => !flagged || c.dead || c.priceChanged)
+    .sort((a, b) => Number(b.dead) - Number(a.dead) || String(b.checkedAt).localeCompare(String(a.checkedAt)))
+    .slice(0, limit);
+}
+
+// Marks the price change as seen: the new price becomes the baseline.
+async function acknowledgePrice(id) {
+  const ref = db.collection(COL_LINK_CHECKS).doc(id);
+  const snap = await ref.get();
+  if (!snap.exists) return null;
+  await ref.update({ priceChanged: false, previousPrice: null });
+  return snap.get('link');
+}
+
+export {
+  COL_LINK_CHECKS,
+  scrapeProduct,
+  parseProduct,
+  recheckLinks,
+  listLinkChecks,
+  acknowledgePrice,
+};
@@ -0,0 +1,146 @@
+import { db } from './firebase.js';
+import { rule } from './validate.js';
+import { batchAudit } from './audit.js';
+import { recordRevisions } from './revisions.js';
+
+/* =======================================================================================
+ * Publishing — draft / scheduled / published / archived
+ *
+ * recentItems, images and aiCards carry
+ *   status       one of STATUSES
+ *   publishAt    ISO time the doc goes (or went) live; required while scheduled
+ *   publishedAt  when it actually went live; set by the server
+ * publishDue() flips scheduled docs whose publishAt has passed to published; index.js runs it
+ * on a timer. Images keep `isPublic` in step: true exactly while published.
+ *
+ * Docs written before the workflow count as published, images as published only when
+ * isPublic. migrateStatus() stores that status so the ?status= filters find them; it is a
+ * one-off the admin runs (POST /api/publishing/migrate), audited like any panel write.
+ * ======================================================================================= */
+const STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+const PUBLISHABLE = ['recentItems', 'images', 'aiCards'];
+const MIGRATE_CHUNK = 200; // docs per batch: each one is an update plus an audit entry
+
+// Spread into a collection's field spec (see validate.js)
+const PUBLISHING_FIELDS = { status: rule('string', { enum: STATUSES }), publishAt: 'date' };
+
+const defaultStatus = (colName, data) => (colName === 'images' && !data.isPublic ? 'draft' : 'published');
+const statusOf = (colName, data = {}) => (STATUSES.includes(data.status) ? data.status : defaultStatus(colName, data));
+
+// The publishing part of a shaped doc
+const shapePublishing = (colName, data = {}) => ({
+  status: statusOf(colName, data),
+  publishAt: data.publishAt || null,
+  publishedAt: data.publishedAt || null,
+});
+
+// For the collection sanitizers: only the fields present; '' clears publishAt.
+function sanitizePublishing(body = {}) {
+  const out = {};
+  if (body.status != null) out.status = String(body.status);
+  if (body.publishAt === '' || body.publishAt === null) out.publishAt = null;
+  else if (body.publishAt != null && Number.isFinite(Date.parse(body.publishAt))) {
+    out.publishAt = new Date(body.publishAt).toISOString();
+  }
+  return out;
+}
+
+// Completes a sanitized create (before = null) or update (before = stored data) with the
+// status rules; returns [{ path, message }]. A create without a status is scheduled when
+// publishAt is in the future and otherwise gets the default status. Going live stamps
+// publishedAt, and publishAt when it was not in the past.
+function settlePublishing(colName, payload, before, now = new Date().toISOString()) {
+  const prev = before ? statusOf(colName, before) : null;
+  if (colName === 'images' && payload.status === undefined && typeof payload.isPublic === 'boolean') {
+    // clients that only know isPublic
+    if (payload.isPublic) payload.status = 'published';
+    else if (!before || prev === 'published') payload.status = 'draft';
+  }
+  if (!before && payload.status === undefined) {
+    payload.status = payload.publishAt > now ? 'scheduled' : defaultStatus(colName, payload);
+  }
+
+  const status = payload.status ?? prev;
+  const publishAt = payload.publishAt !== undefined ? payload.publishAt : before?.publishAt;
+  if (status === 'scheduled' && !publishAt) return [{ path: 'publishAt', message: 'is required to schedule' }];
+
+  if (payload.status === 'published' && prev !== 'published') {
+    payload.publishedAt = now;
+    if (!publishAt || publishAt > now) payload.publishAt = now;
+  }
+  if (colName === 'images' && payload.status !== undefined) payload.isPublic = payload.status === 'published';
+  return [];
+}
+
+// Publishes the scheduled docs that are due. Returns [{ collection, docId, before, after }].
+// Only the scheduled docs are read, so the query needs no composite index.
+async function publishDue(now = new Date().toISOString()) {
+  const changes = [];
+  for (const colName of PUBLISHABLE) {
+    const snap = await db.collection(colName).where('status', '==', 'scheduled').get();
+    for (const d of snap.docs.filter((d) => d.get('publishAt') && d.get('publishAt') <= now)) {
+      const change = await db.runTransaction(async (tx) => {
+        const cur = await tx.get(d.ref);
+        const data = cur.data();
+        // rescheduled or unpublished since the query ran
+        if (!cur.exists || data.status !== 'scheduled' || !(data.publishAt <= now)) return null;
+        const patch = { status: 'published', publishedAt: now, ...(colName === 'images' ? { isPublic: true } : {}) };
+        tx.update(d.ref, patch);
+        return { collection: colName, docId: d.id, before: data, after: { ...data, ...patch } };
+      });
+      if (change) changes.push(change);
+    }
+  }
+  return changes;
+}
+
+// Stores the status of docs that predate the workflow, each write audited (with a revision
+// for recentItems). Returns the number of docs updated.
+async function migrateStatus(req, colName) {
+  const snap = await db.collection(colName).select('status').get();
+  const ids = snap.docs.filter((d) => !STATUSES.includes(d.get('status'))).map((d) => d.id);
+  let updated = 0;
+  for (let i = 0; i < ids.length; i += MIGRATE_CHUNK) {
+    const docs = await db.getAll(...ids.slice(i, i + MIGRATE_CHUNK).map((id) => db.collection(colName).doc(id)));
+    const batch = db.batch();
+    const changes = docs
+      .filter((d) => d.exists && !STATUSES.includes(d.get('status')))
+      .map((d) => {
+        const status = defaultStatus(colName, d.data());
+        batch.update(d.ref, { status });
+        const after = { ...d.data(), status };
+        batchAudit(batch, req, { collection: colName, docId: d.id, action: 'update', before: d, after });
+        return { docId: d.id, action: 'update', before: d, after };
+      });
+    if (!changes.length) continue;
+    await batch.commit();
+    if (colName === 'recentItems') await recordRevisions(req, colName, changes);
+    updated += changes.length;
+  }
+  return updated;
+}
+
+// Docs of `colName` with publishAt in [from, to), oldest first. A range on one field needs
+// no composite index.
+async function publishingBetween(colName, from, to) {
+  const snap = await db
+    .collection(colName)
+    .where('publishAt', '>=', from)
+    .where('publishAt', '<', to)
+    .orderBy('publishAt')
+    .get();
+  return snap.docs;
+}
+
+export {
+  STATUSES,
+  PUBLISHABLE,
+  PUBLISHING_FIELDS,
+  statusOf,
+  shapePublishing,
+  sanitizePublishing,
+  settlePublishing,
+  publishDue,
+  migrateStatus,
+  publishingBetween,
+};
@@ -0,0 +1,42 @@
+/* =======================================================================================
+ * Per-client rate limiting
+ *
+ * rateLimit({ name, max, windowMs }) is a route guard allowing each client `max` requests
+ * per `windowMs` (a fixed window); over the limit it answers 429 with Retry-After. A client
+ * is the signed-in user (req.user.uid) or else the IP address (behind a proxy, set
+ * TRUST_PROXY so req.ip is the client's, see index.js). Counts live in this
+ * process's memory, so they reset on restart and are per instance when scaled out.
+ * ======================================================================================= */
+const SWEEP_EVERY_MS = 60 * 1000;
+
+const limiters = [];
+
+function rateLimit({ name, max, windowMs }) {
+  const hits = new Map(); // client -> { count, resetAt }
+  limiters.push(hits);
+  return (req, res, next) => {
+    const client = req.user?.uid ? `user:${req.user.uid}` : `ip:${req.ip}`;
+    const now = Date.now();
+    let hit = hits.get(client);
+    if (!hit || hit.resetAt <= now) {
+      hit = { count: 0, resetAt: now + windowMs };
+      hits.set(client, hit);
+    }
+    hit.count++;
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - hit.count)));
+    if (hit.count > max) {
+      const retry = Math.ceil((hit.resetAt - now) / 1000);
+      return res.status(429).set('Retry-After', String(retry)).json({ ok: false, error: `Too many ${name} requests; try again in ${retry}s` });
+    }
+    next();
+  };
+}
+
+// Drops the windows that have ended, so one-off clients do not pile up.
+setInterval(() => {
+  const now = Date.now();
+  for (const hits of limiters) for (const [client, hit] of hits) if (hit.resetAt <= now) hits.delete(client);
+}, SWEEP_EVERY_MS).unref();
+
+export { rateLimit };
@@ -0,0 +1,445 @@
+import { admin, db } from './firebase.js';
+import { requireRole } from './auth.js';
+import { checkFields, missingFields, unknownFields } from './validate.js';
+import { recordAudit, batchAudit } from './audit.js';
+import { indexDoc, unindexDoc, searchDocs } from './search.js';
+import { recordRevision, recordRevisions, getRevision } from './revisions.js';
+import { versionOf, etag, writeIfMatch } from './concurrency.js';
+import { categoryScopes, assertCategory } from './categories.js';
+import { trashId, trashInto, moveToTrash } from './trash.js';
+import { settlePublishing } from './publishing.js';
+import { normTags, countTags } from './tags.js';
+import { withCountersFrom } from './engagement.js';
+
+/* =======================================================================================
+ * Collection resources
+ *
+ * defineResource(app, def) registers list / get / create / update / delete for one
+ * collection from a declarative definition:
+ *
+ *   name         collection name (also what audit, search, trash and revisions are keyed by)
+ *   path         route, e.g. '/api/lookbooks' or '/api/basics/:groupId/items'
+ *   shape(snap)  doc -> API object (may be async)
+ *   fields       schema the body is checked against first (see validate.js); fields it
+ *                does not declare are rejected
+ *   sanitize     body -> fields to store; only the fields present, so it serves both
+ *                create and partial update
+ *   required     fields a create must have (and an update may not blank out)
+ *   filters      query param -> { field, type: 'string' | 'boolean' }, e.g. ?saved=true, or
+ *                { field, type: 'number', op: '>=' | '<=' } for a range (?minPrice=20); a
+ *                range lists in that field's order instead of `order`
+ *   order        list order, { field, dir }; default createdAt desc
+ *   defaults     async (req, col) -> fields filled in on create when missing
+ *   transform(req, item)  shaped item -> what list and get answer, for per-request views
+ *   searchable   keep the search index in sync and accept ?q=
+ *   categorized  `category` must name a category in scope (see categories.js)
+ *   trash        delete moves the doc to the trash instead of removing it
+ *   publishing   status / publishAt workflow (see publishing.js)
+ *   revisions    keep revision history (see revisions.js) and accept
+ *                POST <path>/:id/revisions/:revId/restore, a PUT back to that revision
+ *   tagged       keep the tag registry counts in sync (see tags.js)
+ *   batch        { fields: [...], tags } enables POST <path>/batch (below): the fields a
+ *                batch update may set, and whether addTags / removeTags apply
+ *   collection(req)    the CollectionReference; default db.collection(name)
+ *   audit(req, id)     { docId, itemId? } for audit entries; default { docId: id }
+ *   newId(req, payload) doc id for a create; default an auto id. Taken ids are a 409
+ *   beforeCreate(req, payload) / beforeDelete(req, snap)   hooks; throw to refuse
+ *
+ * Every route answers { ok: true, ... } — { item } for one doc, { count, items, nextCursor }
+ * for a list — or { ok: false, error, errors?, current? } with the status on the error
+ * (400 validation, 404, 409 conflict, 500). A 400 lists every problem at once in
+ * errors: [{ path, message }], path naming the field ("content.products[1].link"). A ?q=
+ * list adds truncated: true when the search ranked only part of the matches (see search.js).
+ *
+ * POST <path>/batch acts on many docs at once, all in one transaction:
+ *   { ids: [...], action: 'delete' }
+ *   { ids: [...], action: 'update', set: { category: 'Tops', isSaved: true } }
+ *   { ids: [...], action: 'addTags' | 'removeTags', tags: ['summer'] }
+ * plus optional versions: { <id>: <version> } to refuse docs changed since they were listed.
+ * Each doc is checked like a single write; the ones that fail are skipped, the rest are
+ * written together. The answer is { ok: true, action, count, succeeded, failed, results }
+ * with results [{ id, ok, status?, error?, errors? }] in the order of ids.
+ *
+ * So a new content type like "lookbooks" is:
+ *
+ *   defineResource(app, { name: 'lookbooks', path: '/api/lookbooks', shape, fields, sanitize, required: ['title'] });
+ * ======================================================================================= */
+const DEFAULT_ORDER = { field: 'createdAt', dir: 'desc' };
+const PAGE_SIZE = 50;
+const MAX_PAGE = 100;
+const BATCH_MAX = 100; // docs per batch request: each takes up to three writes (doc, trash, audit)
+const BATCH_ACTIONS = ['delete', 'update', 'addTags', 'removeTags'];
+
+const httpError = (status, message, extra) => Object.assign(new Error(message), { status }, extra);
+
+function sendError(res, e) {
+  if (!e.status || e.status >= 500) console.error(e);
+  const errors = e.errors || (e.path ? [{ path: e.path, message: e.message }] : undefined);
+  res.status(e.status || 500).json({
+    ok: false,
+    error: e.message,
+    ...(errors ? { errors } : {}),
+    ...('current' in e ? { current: e.current } : {}),
+  });
+}
+
+const fieldValue = (data, field) => field.split('.').reduce((v, k) => (v == null ? undefined : v[k]), data);
+
+const RANGE = {
+  '>=': (a, b) => a >= b,
+  '<=': (a, b) => a <= b,
+};
+
+// Query-param filters as { apply, keep, order }: `apply` narrows a Firestore query, `keep`
+// checks the same thing in memory for docs coming from the search index. Firestore wants a
+// range field ordered first, so with a range active `order` is that field ascending
+// (undefined otherwise). Ranges on two different fields are a 400.
+function queryFilters(spec = {}, query = {}) {
+  const active = [];
+  for (const [param, { field, type = 'string', op = '==' }] of Object.entries(spec)) {
+    const raw = query[param];
+    if (typeof raw !== 'string' || !raw) continue;
+    if (type === 'boolean') {
+      if (raw === 'true' || raw === 'false') active.push({ field, op, value: raw === 'true', bool: true });
+    } else if (type === 'number') {
+      const value = Number(raw);
+      if (raw.trim() === '' || !Number.isFinite(value)) throw httpError(400, 'must be a number', { path: param });
+      active.push({ field, op, value });
+    } else active.push({ field, op, value: raw });
+  }
+  const ranges = [...new Set(active.filter((f) => f.op !== '==').map((f) => f.field))];
+  if (ranges.length > 1) throw httpError(400, `Only one range filter at a time (${ranges.join(', ')})`);
+  const test = (f, v) => (f.bool ? !!v === f.value : f.op === '==' ? v === f.value : typeof v === 'number' && RANGE[f.op](v, f.value));
+  return {
+    apply: (qy) => active.reduce((q, f) => q.where(f.field, f.op, f.value), qy),
+    keep: (data) => active.every((f) => test(f, fieldValue(data, f.field))),
+    order: ranges.length ? { field: ranges[0], dir: 'asc' } : undefined,
+  };
+}
+
+/* ---- batch requests ---- */
+// The checked batch body; throws a 400 listing every problem.
+function parseBatch(body, { fields = [], tags: withTags = false }) {
+  const errors = [];
+  const ids = Array.isArray(body.ids) ? [...new Set(body.ids.map(String).filter(Boolean))] : [];
+  if (!ids.length) errors.push({ path: 'ids', message: 'must be a non-empty list of document ids' });
+  if (ids.length > BATCH_MAX) errors.push({ path: 'ids', message: `at most ${BATCH_MAX} documents per batch` });
+  const actions = BATCH_ACTIONS.filter((a) => withTags || !a.endsWith('Tags'));
+  if (!actions.includes(body.action)) errors.push({ path: 'action', message: `must be one of ${actions.join(', ')}` });
+
+  const set = body.set && typeof body.set === 'object' && !Array.isArray(body.set) ? body.set : {};
+  if (body.action === 'update') {
+    if (!Object.keys(set).length) errors.push({ path: 'set', message: `must set at least one of ${fields.join(', ')}` });
+    Object.keys(set)
+      .filter((k) => !fields.includes(k))
+      .forEach((k) => errors.push({ path: `set.${k}`, message: 'cannot be changed in a batch' }));
+  }
+  const tags = normTags(body.tags);
+  if (body.action?.endsWith?.('Tags') && !tags.length) errors.push({ path: 'tags', message: 'must list at least one tag' });
+  const versions = body.versions && typeof body.versions === 'object' ? body.versions : {};
+  if (errors.length) throw httpError(400, 'Validation failed', { errors });
+  return { ids, action: body.action, set, tags, versions };
+}
+
+// tags are compared normalized, so removing "boho" also drops a stored "Boho "
+const nextTags = (current, action, tags) =>
+  action === 'addTags' ? normTags([...current, ...tags]) : normTags(current).filter((t) => !tags.includes(t));
+
+/* ---- cursor pagination ---- */
+// A cursor is the documentId of the last doc on the previous page. startAfter(snapshot)
+// works for both the ordered query and the documentId fallback, so the same cursor stays
+// valid whichever ordering the query ends up using.
+async function cursorSnap(col, cursor) {
+  if (!cursor) return null;
+  const snap = await col.doc(String(cursor)).get();
+  return snap.exists ? snap : false;
+}
+
+async function fetchPage(col, applyFilters, lim, after, order = DEFAULT_ORDER) {
+  const run = (orderField) => {
+    let qy = applyFilters(col.orderBy(orderField, order.dir));
+    if (after) qy = qy.startAfter(after);
+    return qy.limit(lim + 1).get(); // one extra doc tells us whether a next page exists
+  };
+
+  let snap;
+  try {
+    snap = await run(order.field);
+  } catch {
+    snap = await run(admin.firestore.FieldPath.documentId());
+  }
+
+  const docs = snap.docs.slice(0, lim);
+  const nextCursor = snap.docs.length > lim ? docs[docs.length - 1].id : null;
+  return { docs, nextCursor };
+}
+
+// With `q` the results come ranked from the search index, so the cursor is an offset
+// into the ranked list instead of a documentId.
+async function searchPage(colName, q, keep, lim, cursor) {
+  const offset = Math.max(parseInt(cursor, 10) || 0, 0);
+  const { docs: found, truncated } = await searchDocs(colName, q);
+  const matches = found.filter((d) => keep(d.data() || {}));
+  const docs = matches.slice(offset, offset + lim);
+  const nextCursor = offset + lim < matches.length ? String(offset + lim) : null;
+  return { docs, nextCursor, truncated };
+}
+
+function defineResource(app, def) {
+  const {
+    name,
+    path,
+    shape,
+    fields,
+    sanitize,
+    required = [],
+    filters,
+    order = DEFAULT_ORDER,
+    defaults,
+    searchable = false,
+    categorized = false,
+    trash = false,
+    revisions = false,
+    publishing = false,
+    tagged = false,
+    collection = () => db.collection(name),
+    audit = (_req, id) => ({ docId: id }),
+    newId,
+    beforeCreate,
+    beforeDelete,
+    transform = (_req, item) => item,
+    batch,
+  } = def;
+
+  const shapeOrNull = async (snap) => (snap?.exists ? shape(snap) : null);
+
+  // Schema, required, category and status errors together. `before` is the stored doc on update.
+  const validate = async (body, { before = null, scopes }) => {
+    const create = !before;
+    const { errors, dropped } = fields ? checkFields(fields, body) : { errors: [], dropped: [] };
+    errors.push(...unknownFields(dropped));
+    const payload = errors.length ? {} : sanitize(body);
+    if (!errors.length) errors.push(...missingFields(create ? required : required.filter((k) => k in payload), payload));
+    if (!errors.length && categorized) {
+      try {
+        const current = before ? (await shape(before)).category : undefined;
+        assertCategory(scopes ?? (await categoryScopes()), payload.category, current, name);
+      } catch (e) {
+        if (e.status !== 400) throw e;
+        errors.push({ path: e.path, message: e.message });
+      }
+    }
+    if (!errors.length && publishing) errors.push(...settlePublishing(name, payload, before?.data() ?? null));
+    if (errors.length) throw httpError(400, 'Validation failed', { errors });
+    return payload;
+  };
+
+  const record = async (req, id, action, before, after) => {
+    await recordAudit(req, { ...audit(req, id), collection: name, action, before, after });
+    if (revisions && action !== 'delete') await recordRevision(req, name, { docId: id, action, before, after });
+  };
+
+  app.get(path, requireRole('viewer'), async (req, res) => {
+    try {
+      const { limit, q, cursor } = req.query;
+      const lim = Math.min(parseInt(limit, 10) || PAGE_SIZE, MAX_PAGE);
+      const f = queryFilters(filters, req.query);
+
+      let page;
+      if (searchable && typeof q === 'string' && q.trim()) {
+        page = await searchPage(name, q, f.keep, lim, cursor);
+      } else {
+        const col = collection(req);
+        const after = await cursorSnap(col, cursor);
+        if (after === false) throw httpError(400, 'Invalid cursor');
+        page = await fetchPage(col, f.apply, lim, after, f.order ?? order);
+      }
+      const items = (await Promise.all(page.docs.map(shape))).map((item) => transform(req, item));
+      res.json({ ok: true, count: items.length, items, nextCursor: page.nextCursor, ...(page.truncated ? { truncated: true } : {}) });
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  app.get(`${path}/:id`, requireRole('viewer'), async (req, res) => {
+    try {
+      const snap = await collection(req).doc(req.params.id).get();
+      if (!snap.exists) throw httpError(404, 'Not found');
+      res.set('ETag', etag(versionOf(snap))).json({ ok: true, item: transform(req, await shape(snap)) });
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  app.post(path, requireRole('editor'), async (req, res) => {
+    try {
+      const payload = await validate(req.body || {}, {});
+      if (beforeCreate) await beforeCreate(req, payload);
+
+      const col = collection(req);
+      const extra = defaults ? await defaults(req, col) : {};
+      for (const [k, v] of Object.entries(extra)) if (payload[k] === undefined) payload[k] = v;
+
+      const id = newId ? newId(req, payload) : null;
+      const ref = id ? col.doc(id) : col.doc();
+      try {
+        await ref.create(payload);
+      } catch (e) {
+        if (e.code === 6) throw httpError(409, `"${ref.id}" already exists`); // ALREADY_EXISTS
+        throw e;
+      }
+      const snap = await ref.get();
+      if (searchable) await indexDoc(name, snap);
+      if (tagged) await countTags(name, [{ before: null, after: snap }]);
+      await record(req, ref.id, 'create', null, snap);
+      res.status(201).set('ETag', etag(versionOf(snap))).json({ ok: true, id: ref.id, item: await shape(snap) });
+    } catch (e) {
+      sendError(res, e);
+    }
+  });
+
+  // Partial update (merge). If-Match: "<version>" makes it conditional (see concurrency.js).
+  app.put(`${path}/:id`, requireRole('editor'), async (req, res) => {
+    try {
+      const ref = collection(req).doc(req.params.id);
+      const scopes = categorized ? await categoryScopes() : null;
+      const before = await writeIfMatch(req, ref, async (tx, prev) => {
+        if (!prev.exists) throw httpError(404, 'Not found');
+        const payload = await validate(req.body || {}, { before: prev, scopes });
+        tx.set(ref, payload, { merge: true });
+      });
+      const snap = await ref.get();
+      if (searchable) await indexDoc(name, snap);
+      if (tagged) await countTags(name, [{ before, after: snap }]);
+      await record(req, ref.id, 'update', before, snap);
+      res.set('ETag', etag(versionOf(snap))).json({ ok: true, id: ref.id, item: await shape(snap) });
+    } catch (e) {
+      if (e.status === 409 && e.current?.exists !== undefined) e.current = await shapeOrNull(e.current);
+      sendError(res, e);
+    }
+  });
+
+  // Trashed collections go to the trash (see /api/trash); the others are removed for good.
+  app.delete(`${path}/:id`, requireRole('editor'), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const ref = collection(req).doc(id);
+      if (beforeDelete) {
+        const snap = await ref.get();
+        if (!snap.exists) throw httpError(404, 'Not found');
+        await beforeDelete(req, snap);
+      }
+      let before;
+      if (trash) {
+        before = await moveToTrash(name, id, req.user);
+        if (!before) throw httpError(404, 'Not found');
+      } else {
+        before = await writeIfMatch(req, ref, (tx, prev) => {
+          if (!prev.exists) throw httpError(404, 'Not found');
+          tx.delete(ref);
+        });
+      }
+      if (searchable) await unindexDoc(name, id);
+      if (tagged) await countTags(name, [{ before, after: null }]);
+      await record(req, id, 'delete', before);
+      res.json({ ok: true, id, ...(trash ? { trashId: trashId(name, id) } : {}) });
+    } catch (e) {
+      if (e.status === 409 && e.current?.exists !== undefined) e.current = await shapeOrNull(e.current);
+      sendError(res, e);
+    }
+  });
+
+  // Puts the doc back as it was in a revision (not a merge), checked and written like a PUT:
+  // If-Match, validation, tag counts. Engagement counters keep their current values.
+  if (revisions) {
+    app.post(`${path}/:id/revisions/:revId/restore`, requireRole('editor'), async (req, res) => {
+      try {
+        const ref = collection(req).doc(req.params.id);
+        const revision = await getRevision(name, req.params.id, req.params.revId);
+        if (!revision) throw httpError(404, 'Revision not found');
+        // schema fields go through validate like a body; stored-only ones (publishedAt, ...) as they were
+        const data = withCountersFrom(name, revision.data, null);
+        const input = Object.fromEntries(Object.entries(data).filter(([k]) => !fields || k in fields));
+        const kept = Object.fromEntries(Object.entries(data).filter(([k]) => fields && !(k in fields)));
+        const scopes = categorized ? await categoryScopes() : null;
+        const before = await writeIfMatch(req, ref, async (tx, prev) => {
+          if (!prev.exists) throw httpError(404, 'Not found (restore it from the trash first)');
+          const payload = await validate(input, { before: prev, scopes });
+          tx.set(ref, withCountersFrom(name, { ...kept, ...payload }, prev.data()));
+        });
+        const snap = await ref.get();
+        if (searchable) await indexDoc(name, snap);
+        if (tagged) await countTags(name, [{ before, after: snap }]);
+        await recordAudit(req, { ...audit(req, ref.id), collection: name, action: 'update', before, after: snap });
+        await recordRevision(req, name, { docId: ref.id, action: 'rollback', before, after: snap, restoredFrom: revision.id });
+        res.set('ETag', etag(versionOf(snap))).json({ ok: true, id: ref.id, restoredFrom: revision.id, item: await shape(snap) });
+      } catch (e) {
+        if (e.status === 409 && e.current?.exists !== undefined) e.current = await shapeOrNull(e.current);
+        sendError(res, e);
+      }
+    });
+  }
+
+  if (batch) {
+    app.post(`${path}/batch`, requireRole('editor'), async (req, res) => {
+      try {
+        const { ids, action, set, tags, versions } = parseBatch(req.body || {}, batch);
+        const col = collection(req);
+        const scopes = categorized && action !== 'delete' ? await categoryScopes() : null;
+        let results;
+        let changes;
+        await db.runTransaction(async (tx) => {
+          results = new Map();
+          changes = [];
+          const snaps = await tx.getAll(...ids.map((id) => col.doc(id)));
+          for (const snap of snaps) {
+            try {
+              if (!snap.exists) throw httpError(404, 'Not found');
+              if (versions[snap.id] && versions[snap.id] !== versionOf(snap)) {
+                throw httpError(409, 'Version conflict: this was changed by someone else');
+              }
+              if (action === 'delete') {
+                if (beforeDelete) await beforeDelete(req, snap);
+                if (trash) trashInto(tx, name, snap, req.user);
+                else tx.delete(snap.ref);
+                batchAudit(tx, req, { ...audit(req, snap.id), collection: name, action: 'delete', before: snap, after: null });
+                changes.push({ docId: snap.id, action: 'delete', before: snap });
+              } else {
+                const body = action === 'update' ? set : { tags: nextTags((await shape(snap)).tags || [], action, tags) };
+                const payload = await validate(body, { before: snap, scopes });
+                tx.set(snap.ref, payload, { merge: true });
+                const after = { ...snap.data(), ...payload };
+                batchAudit(tx, req, { ...audit(req, snap.id), collection: name, action: 'update', before: snap, after });
+                changes.push({ docId: snap.id, action: 'update', before: snap, after });
+              }
+              results.set(snap.id, { id: snap.id, ok: true });
+            } catch (e) {
+              if (!e.status || e.status >= 500) throw e;
+              results.set(snap.id, { id: snap.id, ok: false, status: e.status, error: e.message, ...(e.errors ? { errors: e.errors } : {}) });
+            }
+          }
+        });
+
+        if (searchable && changes.length) {
+          const updated = changes.filter((c) => c.action === 'update');
+          const fresh = updated.length ? await db.getAll(...updated.map((c) => col.doc(c.docId))) : [];
+          await Promise.all([...fresh.map((snap) => indexDoc(name, snap)), ...changes.filter((c) => c.action === 'delete').map((c) => unindexDoc(name, c.docId))]);
+        }
+        if (tagged) await countTags(name, changes.map(({ before, after = null }) => ({ before, after })));
+        if (revisions) {
+          const updates = changes.filter((c) => c.action === 'update');
+          if (updates.length) await recordRevisions(req, name, updates);
+        }
+        const list = ids.map((id) => results.get(id));
+        const succeeded = list.filter((r) => r.ok).length;
+        res.json({ ok: true, action, count: list.length, succeeded, failed: list.length - succeeded, results: list });
+      } catch (e) {
+        sendError(res, e);
+      }
+    });
+  }
+
+  return def;
+}
+
+export { defineResource, queryFilters, httpError, sendError };
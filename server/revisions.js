@@ -0,0 +1,122 @@
+import { db } from './firebase.js';
+
+/* =======================================================================================
+ * Revision history — recentItems/{id}/revisions/{revId}
+ *   { action: baseline|create|update|rollback, data, at, user, restoredFrom? }
+ * `data` is the full document after the change. Docs written before history existed get a
+ * `baseline` revision holding their previous state on the first change, so that edit can be
+ * undone as well. Revisions stay when the doc is trashed and go when it is purged.
+ * ======================================================================================= */
+const SUB_REVISIONS = 'revisions';
+
+const revisionsOf = (colName, docId) => db.collection(colName).doc(String(docId)).collection(SUB_REVISIONS);
+
+const snapData = (v) => {
+  if (v == null) return null;
+  if (typeof v.exists === 'boolean') return v.exists ? v.data() : null; // DocumentSnapshot
+  return v;
+};
+
+function revisionEntry(req, { action, data, restoredFrom, at }) {
+  const u = req?.user;
+  return {
+    action,
+    data,
+    at: at || new Date().toISOString(),
+    user: u ? { uid: u.uid, email: u.email || '' } : null,
+    ...(restoredFrom ? { restoredFrom } : {}),
+  };
+}
+
+const hasHistory = async (colName, docId) => !(await revisionsOf(colName, docId).limit(1).get()).empty;
+
+// The baseline is timestamped with the old doc's last write so it sorts before the change.
+const baselineAt = (before) => before?.updateTime?.toDate?.().toISOString();
+
+// Like recordAudit: the write already happened, so failures are logged, not rethrown.
+async function recordRevision(req, colName, { docId, action, before, after, restoredFrom }) {
+  try {
+    const data = snapData(after);
+    if (!data) return;
+    const col = revisionsOf(colName, docId);
+    const prev = snapData(before);
+    if (prev && !(await hasHistory(colName, docId))) {
+      await col.add(revisionEntry(req, { action: 'baseline', data: prev, at: baselineAt(before) }));
+    }
+    await col.add(revisionEntry(req, { action, data, restoredFrom }));
+  } catch (e) {
+    console.error('REVISION ERROR', e);
+  }
+}
+
+// Bulk variant: `changes` is [{ docId, action, before, after }] with snapshots; one batch per call.
+async function recordRevisions(req, colName, changes) {
+  try {
+    const known = await Promise.all(
+      changes.map((c) => (snapData(c.before) ? hasHistory(colName, c.docId) : true))
+    );
+    const batch = db.batch();
+    changes.forEach((c, i) => {
+      const col = revisionsOf(colName, c.docId);
+      if (!known[i]) {
+        batch.set(col.doc(), revisionEntry(req, { action: 'baseline', data: snapData(c.before), at: baselineAt(c.before) }));
+      }
+      batch.set(col.doc(), revisionEntry(req, { action: c.action, data: snapData(c.after) }));
+    });
+    await batch.commit();
+  } catch (e) {
+    console.error('REVISION ERROR', e);
+  }
+}
+
+// Newest first, without the document data.
+async function listRevisions(colName, docId, limit = 50) {
+  const snap = await revisionsOf(colName, docId).orderBy('at', 'desc').limit(limit).get();
+  return snap.docs.map((d) => {
+    const { data: _data, ...meta } = d.data();
+    return { id: d.id, ...meta };
+  });
+}
+
+async function getRevision(colName, docId, revId) {
+  const snap = await revisionsOf(colName, docId).doc(String(revId)).get();
+  return snap.exists ? { id: snap.id, ...snap.data() } : null;
+}
+
+async function deleteRevisions(colName, docId) {
+  for (;;) {
+    const snap = await revisionsOf(colName, docId).limit(400).get();
+    if (snap.empty) return;
+    const batch = db.batch();
+    snap.docs.forEach((d) => batch.delete(d.ref));
+    await batch.commit();
+  }
+}
+
+/* ───────────────────────────────
+   Field-level diff
+   ─────────────────────────────── */
+const isObj = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+const isScalarList = (v) => Array.isArray(v) && v.every((x) => x == null || typeof x !== 'object');
+
+// Firestore Timestamps compare and print as ISO strings.
+const plain = (v) => (v && typeof v.toDate === 'function' ? v.toDate().toISOString() : v);
+
+// Returns [{ path, change: added|removed|changed, before, after }]. Objects and arrays of
+// objects (content.products) are walked by key / index; lists of plain values (tags) compare whole.
+function diffFields(a, b, path = '', out = []) {
+  a = plain(a);
+  b = plain(b);
+  const walkable = (v) => isObj(v) || (Array.isArray(v) && !isScalarList(v));
+  if (walkable(a) && walkable(b) && Array.isArray(a) === Array.isArray(b)) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    for (const k of keys) diffFields(a[k], b[k], path ? `${path}.${k}` : k, out);
+    return out;
+  }
+  if (JSON.stringify(a) === JSON.stringify(b)) return out;
+  const change = a === undefined ? 'added' : b === undefined ? 'removed' : 'changed';
+  out.push({ path, change, before: a ?? null, after: b ?? null });
+  return out;
+}
+
+export { SUB_REVISIONS, recordRevision, recordRevisions, listRevisions, getRevision, deleteRevisions, diffFields };
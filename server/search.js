@@ -0,0 +1,173 @@
+import { admin, db } from './firebase.js';
+
+/* =======================================================================================
+ * Full-text search index for recentItems and images
+ *
+ * Every indexed doc gets a mirror in searchIndex/{collection}/docs/{docId}:
+ *   { terms: { token: weight }, prefixes: [...], createdMs }
+ * `prefixes` drives the array-contains candidate query, `terms` is used for ranking.
+ * A query that is exactly a doc id also finds that doc, ranked first.
+ * ======================================================================================= */
+const COL_SEARCH = 'searchIndex';
+const SEARCHABLE = ['recentItems', 'images'];
+
+const MIN_TOKEN = 2;
+const CANDIDATE_PAGE = 300;
+const MAX_CANDIDATES = 3000; // beyond this a search answers `truncated` instead of reading on
+const WEIGHTS = { title: 5, tags: 4, product: 3, description: 1 };
+const STOPWORDS = new Set(['the', 'and', 'with', 'for', 'of', 'in', 'on', 'to', 'an', 'at', 'by', 'or']);
+
+const indexCol = (colName) => db.collection(COL_SEARCH).doc(colName).collection('docs');
+
+function tokenize(text) {
+  if (text == null) return [];
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((t) => t.length >= MIN_TOKEN && !STOPWORDS.has(t));
+}
+
+const createdMs = (v) => {
+  if (!v) return 0;
+  if (typeof v === 'string') return Date.parse(v) || 0;
+  if (typeof v?.toMillis === 'function') return v.toMillis();
+  if (v.seconds != null) return v.seconds * 1000;
+  return 0;
+};
+
+// token -> highest weight of any field it appears in
+function buildTerms(data = {}) {
+  const terms = {};
+  const add = (text, weight) => {
+    for (const t of tokenize(text)) terms[t] = Math.max(terms[t] || 0, weight);
+  };
+
+  add(data.title, WEIGHTS.title);
+  add(data.description, WEIGHTS.description);
+  const tags = Array.isArray(data.tags) ? data.tags : typeof data.tags === 'string' ? data.tags.split(',') : [];
+  tags.forEach((t) => add(t, WEIGHTS.tags));
+  const products = Array.isArray(data?.content?.products) ? data.content.products : [];
+  products.forEach((p) => {
+    add(p?.brand, WEIGHTS.product);
+    add(p?.name, WEIGHTS.product);
+  });
+  return terms;
+}
+
+function buildPrefixes(terms) {
+  const out = new Set();
+  for (const t of Object.keys(terms)) {
+    for (let i = MIN_TOKEN; i <= t.length; i++) out.add(t.slice(0, i));
+  }
+  return [...out];
+}
+
+// Exact token hits count double; every query token must match something (AND semantics).
+function scoreTerms(terms, queryTokens) {
+  let score = 0;
+  for (const qt of queryTokens) {
+    let best = 0;
+    for (const [t, w] of Object.entries(terms || {})) {
+      if (t === qt) best = Math.max(best, w * 2);
+      else if (t.startsWith(qt)) best = Math.max(best, w);
+    }
+    if (!best) return 0;
+    score += best;
+  }
+  return score;
+}
+
+function indexEntry(data) {
+  const terms = buildTerms(data);
+  return { terms, prefixes: buildPrefixes(terms), createdMs: createdMs(data.createdAt) };
+}
+
+/* ───────────────────────────────
+   Write hooks
+   ─────────────────────────────── */
+async function indexDoc(colName, snap) {
+  if (!SEARCHABLE.includes(colName) || !snap?.exists) return;
+  await indexCol(colName).doc(snap.id).set(indexEntry(snap.data() || {}));
+}
+
+async function unindexDoc(colName, docId) {
+  if (!SEARCHABLE.includes(colName)) return;
+  await indexCol(colName).doc(docId).delete();
+}
+
+// Rebuilds the index for a whole collection (backfill for docs written before indexing).
+async function reindexCollection(colName) {
+  if (!SEARCHABLE.includes(colName)) throw new Error(`Collection "${colName}" is not searchable`);
+  const PAGE = 300;
+  let indexed = 0;
+  let last = null;
+  for (;;) {
+    let qy = db.collection(colName).orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE);
+    if (last) qy = qy.startAfter(last);
+    const snap = await qy.get();
+    if (snap.empty) break;
+
+    const batch = db.batch();
+    snap.docs.forEach((d) => batch.set(indexCol(colName).doc(d.id), indexEntry(d.data() || {})));
+    await batch.commit();
+
+    indexed += snap.size;
+    last = snap.docs[snap.docs.length - 1];
+    if (snap.size < PAGE) break;
+  }
+  return indexed;
+}
+
+/* ───────────────────────────────
+   Query
+   ─────────────────────────────── */
+// Index entries holding `anchor`, read in pages of CANDIDATE_PAGE up to MAX_CANDIDATES.
+async function candidates(colName, anchor) {
+  const docs = [];
+  let last = null;
+  for (;;) {
+    let qy = indexCol(colName)
+      .where('prefixes', 'array-contains', anchor)
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(CANDIDATE_PAGE);
+    if (last) qy = qy.startAfter(last);
+    const snap = await qy.get();
+    docs.push(...snap.docs);
+    if (snap.size < CANDIDATE_PAGE) return { docs, truncated: false };
+    if (docs.length >= MAX_CANDIDATES) return { docs, truncated: true };
+    last = snap.docs[snap.docs.length - 1];
+  }
+}
+
+// The doc whose id is `q` itself, if any (ids hold characters tokenize() splits on).
+async function docById(colName, q) {
+  const id = String(q ?? '').trim();
+  // not a valid Firestore id: empty, a path, "." / "..", reserved "__x__" or over 1500 bytes
+  if (!id || id.includes('/') || id === '.' || id === '..' || /^__.*__$/.test(id) || Buffer.byteLength(id) > 1500) return null;
+  const snap = await db.collection(colName).doc(id).get();
+  return snap.exists ? snap : null;
+}
+
+// { docs, truncated }: the matching doc snapshots of `colName`, best match first. truncated
+// means the anchor token matched more than MAX_CANDIDATES docs and only those were ranked.
+async function searchDocs(colName, q) {
+  const byId = await docById(colName, q);
+  const queryTokens = [...new Set(tokenize(q))];
+  if (!queryTokens.length) return { docs: byId ? [byId] : [], truncated: false };
+
+  // The longest token is the most selective one for the candidate query.
+  const anchor = queryTokens.reduce((a, b) => (b.length > a.length ? b : a));
+  const { docs: found, truncated } = await candidates(colName, anchor);
+
+  const ranked = found
+    .filter((d) => d.id !== byId?.id)
+    .map((d) => ({ id: d.id, score: scoreTerms(d.get('terms'), queryTokens), createdMs: d.get('createdMs') || 0 }))
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score || b.createdMs - a.createdMs);
+  const docs = ranked.length ? await db.getAll(...ranked.map((r) => db.collection(colName).doc(r.id))) : [];
+  return { docs: [...(byId ? [byId] : []), ...docs.filter((d) => d.exists)], truncated };
+}
+
+export { SEARCHABLE, tokenize, indexDoc, unindexDoc, reindexCollection, searchDocs };
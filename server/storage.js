@@ -0,0 +1,60 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { admin } from './firebase.js';
+
+/* =======================================================================================
+ * File storage for uploads
+ *
+ * STORAGE_DRIVER=firebase (default when FIREBASE_STORAGE_BUCKET is set) stores files in
+ * Firebase Storage behind a download-token URL, so the bucket can stay private.
+ * STORAGE_DRIVER=local writes to UPLOAD_DIR (default server/uploads), which index.js serves
+ * under /uploads — meant for development.
+ *
+ * Both adapters: put(key, buffer, contentType) -> public URL, remove(key).
+ * ======================================================================================= */
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function firebaseStorage() {
+  const bucket = admin.storage().bucket();
+  return {
+    name: 'firebase',
+    async put(key, buffer, contentType) {
+      const token = crypto.randomUUID();
+      await bucket.file(key).save(buffer, {
+        resumable: false,
+        contentType,
+        metadata: { cacheControl: 'public, max-age=31536000', metadata: { firebaseStorageDownloadTokens: token } },
+      });
+      return `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(key)}?alt=media&token=${token}`;
+    },
+    async remove(key) {
+      await bucket.file(key).delete({ ignoreNotFound: true });
+    },
+  };
+}
+
+function localStorage(dir) {
+  return {
+    name: 'local',
+    dir,
+    async put(key, buffer) {
+      const file = path.join(dir, key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return `/uploads/${key}`;
+    },
+    async remove(key) {
+      await fs.rm(path.join(dir, key), { force: true });
+    },
+  };
+}
+
+const driver = process.env.STORAGE_DRIVER || (process.env.FIREBASE_STORAGE_BUCKET ? 'firebase' : 'local');
+const storage =
+  driver === 'firebase'
+    ? firebaseStorage()
+    : localStorage(path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, 'uploads')));
+
+export { storage };
@@ -0,0 +1,191 @@
+import { admin, db } from './firebase.js';
+import { batchAudit } from './audit.js';
+import { recordRevisions } from './revisions.js';
+import { SEARCHABLE, indexDoc } from './search.js';
+
+/* =======================================================================================
+ * Tags
+ *
+ * recentItems and images carry `tags`, an array of free-form strings. Tags are stored
+ * normalized: trimmed, inner whitespace collapsed to one space, lower case ("Boho " and
+ * "boho" are the same tag). Synonyms ("bohemian") are merged by hand, see retag().
+ *
+ * tags/{id}: { name, counts: { recentItems: n, images: n }, total } is the registry the
+ * autocomplete and the tags page read. Writes through defineResource keep the counts up
+ * to date (`tagged`, see resources.js); rebuildTags() recounts everything from the docs
+ * and drops tags nobody uses (index.js runs it after every rename / merge, and an admin
+ * can run it with the normalization through POST /api/tags/rebuild).
+ * ======================================================================================= */
+const COL_TAGS = 'tags';
+const TAGGED = ['recentItems', 'images'];
+const WRITE_CHUNK = 200; // docs per batch: each one is an update plus an audit entry
+const REGISTRY_CHUNK = 500; // Firestore max writes per batch
+
+const normalizeTag = (t) => String(t ?? '').normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Array or comma-separated string -> normalized tags, duplicates dropped.
+const normTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : typeof tags === 'string' ? tags.split(',') : [];
+  return [...new Set(list.map(normalizeTag).filter(Boolean))];
+};
+
+// Firestore ids cannot contain "/" (nor be "." / "..")
+const tagId = (name) => encodeURIComponent(name).replace(/\./g, '%2E');
+
+const tagsOf = (doc) => normTags(typeof doc?.data === 'function' ? doc.data()?.tags : doc?.tags);
+
+const shapeTag = (d) => {
+  const data = d.data() || {};
+  const counts = Object.fromEntries(TAGGED.map((c) => [c, Number(data.counts?.[c]) || 0]));
+  return { name: data.name || '', counts, total: Number(data.total) || 0 };
+};
+
+// Applies [{ before, after }] (snapshots or data; null for a create / delete) of `colName`
+// to the registry counts.
+async function countTags(colName, changes) {
+  if (!TAGGED.includes(colName)) return;
+  const delta = new Map();
+  for (const { before, after } of changes) {
+    for (const t of tagsOf(before)) delta.set(t, (delta.get(t) || 0) - 1);
+    for (const t of tagsOf(after)) delta.set(t, (delta.get(t) || 0) + 1);
+  }
+  const moved = [...delta].filter(([, n]) => n);
+  for (let i = 0; i < moved.length; i += REGISTRY_CHUNK) {
+    const batch = db.batch();
+    for (const [name, n] of moved.slice(i, i + REGISTRY_CHUNK)) {
+      const inc = admin.firestore.FieldValue.increment(n);
+      batch.set(db.collection(COL_TAGS).doc(tagId(name)), { name, counts: { [colName]: inc }, total: inc }, { merge: true });
+    }
+    await batch.commit();
+  }
+}
+
+// Tags in use, most used first. With `prefix`, the ones starting with it (normalized).
+async function listTags({ prefix = '', limit } = {}) {
+  const p = normalizeTag(prefix);
+  let qy = db.collection(COL_TAGS);
+  if (p) qy = qy.where('name', '>=', p).where('name', '<', `${p}\uf8ff`);
+  const snap = await qy.get();
+  const tags = snap.docs
+    .map(shapeTag)
+    .filter((t) => t.name && t.total > 0)
+    .sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+  return limit ? tags.slice(0, limit) : tags;
+}
+
+// The registry entry of `name` (normalized), or null when no doc uses it.
+async function getTag(name) {
+  const key = normalizeTag(name);
+  if (!key) return null;
+  const snap = await db.collection(COL_TAGS).doc(tagId(key)).get();
+  const tag = snap.exists ? shapeTag(snap) : null;
+  return tag?.total > 0 ? tag : null;
+}
+
+// name -> { recentItems: n, images: n } counted from the docs themselves.
+async function countFromDocs() {
+  const counts = new Map();
+  for (const colName of TAGGED) {
+    const snap = await db.collection(colName).select('tags').get();
+    for (const d of snap.docs) {
+      for (const t of tagsOf(d)) {
+        if (!counts.has(t)) counts.set(t, Object.fromEntries(TAGGED.map((c) => [c, 0])));
+        counts.get(t)[colName]++;
+      }
+    }
+  }
+  return counts;
+}
+
+// Rewrites the registry from the docs. Returns { tags, removed }.
+async function rebuildTags() {
+  const counts = await countFromDocs();
+  const stale = (await db.collection(COL_TAGS).select().get()).docs.filter(
+    (d) => !counts.has(decodeURIComponent(d.id))
+  );
+  const writes = [
+    ...[...counts].map(([name, c]) => (b) =>
+      b.set(db.collection(COL_TAGS).doc(tagId(name)), { name, counts: c, total: TAGGED.reduce((n, col) => n + c[col], 0) })
+    ),
+    ...stale.map((d) => (b) => b.delete(d.ref)),
+  ];
+  for (let i = 0; i < writes.length; i += REGISTRY_CHUNK) {
+    const batch = db.batch();
+    writes.slice(i, i + REGISTRY_CHUNK).forEach((w) => w(batch));
+    await batch.commit();
+  }
+  return { tags: counts.size, removed: stale.length };
+}
+
+// Stores the normalized form of every doc's tags where it differs ("Boho " -> "boho",
+// "a, b" -> ["a", "b"]). Audited like retag(), with revisions and the search index kept in
+// step. Returns the docs updated per collection.
+async function normalizeStoredTags(req) {
+  const updated = {};
+  const stale = (d) => d.get('tags') != null && JSON.stringify(d.get('tags')) !== JSON.stringify(tagsOf(d));
+  for (const colName of TAGGED) {
+    const snap = await db.collection(colName).select('tags').get();
+    const ids = snap.docs.filter(stale).map((d) => d.id);
+    updated[colName] = 0;
+    for (let i = 0; i < ids.length; i += WRITE_CHUNK) {
+      const docs = await db.getAll(...ids.slice(i, i + WRITE_CHUNK).map((id) => db.collection(colName).doc(id)));
+      const batch = db.batch();
+      const changes = docs
+        .filter((d) => d.exists && stale(d))
+        .map((d) => {
+          const tags = tagsOf(d);
+          batch.update(d.ref, { tags });
+          const after = { ...d.data(), tags };
+          batchAudit(batch, req, { collection: colName, docId: d.id, action: 'update', before: d, after });
+          return { docId: d.id, action: 'update', before: d, after };
+        });
+      if (!changes.length) continue;
+      await batch.commit();
+      if (colName === 'recentItems') await recordRevisions(req, colName, changes);
+      if (SEARCHABLE.includes(colName)) {
+        const fresh = await db.getAll(...changes.map((c) => db.collection(colName).doc(c.docId)));
+        await Promise.all(fresh.map((s) => indexDoc(colName, s)));
+      }
+      updated[colName] += changes.length;
+    }
+  }
+  return updated;
+}
+
+// Replaces the tags `from` with `to` on every doc that has one of them: a rename when `to`
+// is new, a merge when it is already used. Audited, with revisions and the search index
+// kept in step. Returns the number of docs changed per collection.
+async function retag(req, from, to) {
+  const sources = new Set(normTags(from));
+  const target = normalizeTag(to);
+  const moved = {};
+  for (const colName of TAGGED) {
+    const snap = await db.collection(colName).select('tags').get();
+    const ids = snap.docs.filter((d) => tagsOf(d).some((t) => sources.has(t))).map((d) => d.id);
+    moved[colName] = 0;
+    for (let i = 0; i < ids.length; i += WRITE_CHUNK) {
+      const docs = await db.getAll(...ids.slice(i, i + WRITE_CHUNK).map((id) => db.collection(colName).doc(id)));
+      const batch = db.batch();
+      const changes = docs
+        .filter((d) => d.exists)
+        .map((d) => {
+          const tags = normTags(tagsOf(d).map((t) => (sources.has(t) ? target : t)));
+          batch.update(d.ref, { tags });
+          const after = { ...d.data(), tags };
+          batchAudit(batch, req, { collection: colName, docId: d.id, action: 'update', before: d, after });
+          return { docId: d.id, action: 'update', before: d, after };
+        });
+      if (!changes.length) continue;
+      await batch.commit();
+      if (colName === 'recentItems') await recordRevisions(req, colName, changes);
+      if (SEARCHABLE.includes(colName)) {
+        const fresh = await db.getAll(...changes.map((c) => db.collection(colName).doc(c.docId)));
+        await Promise.all(fresh.map((s) => indexDoc(colName, s)));
+      }
+      moved[colName] += changes.length;
+    }
+  }
+  return moved;
+}
+
+export { COL_TAGS, TAGGED, normalizeTag, normTags, countTags, listTags, getTag, rebuildTags, normalizeStoredTags, retag };
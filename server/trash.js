@@ -0,0 +1,117 @@
+import { db } from './firebase.js';
+
+/* =======================================================================================
+ * Trash — soft delete for recentItems, images and aiCards
+ *
+ * Deleting moves the doc into trash/{collection}__{docId}:
+ *   { collection, docId, data, deletedAt, deletedBy }
+ * and removes it from its collection, so list/search/export routes never see it. Restore
+ * writes `data` back under the original id. Entries older than the retention period are
+ * purged by purgeExpired(), which index.js runs on a timer.
+ * ======================================================================================= */
+const COL_TRASH = 'trash';
+const TRASHABLE = ['recentItems', 'images', 'aiCards'];
+
+const trashId = (colName, docId) => `${colName}__${docId}`;
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// Adds the move of `snap` (an existing doc of colName) to a transaction or batch.
+function trashInto(tx, colName, snap, user) {
+  if (!TRASHABLE.includes(colName)) throw httpError(400, `Collection "${colName}" has no trash`);
+  tx.set(db.collection(COL_TRASH).doc(trashId(colName, snap.id)), {
+    collection: colName,
+    docId: snap.id,
+    data: snap.data(),
+    deletedAt: new Date().toISOString(),
+    deletedBy: user ? { uid: user.uid, email: user.email || '' } : null,
+  });
+  tx.delete(snap.ref);
+}
+
+// Returns the trashed data, or null if the doc did not exist.
+async function moveToTrash(colName, docId, user) {
+  if (!TRASHABLE.includes(colName)) throw httpError(400, `Collection "${colName}" has no trash`);
+  const ref = db.collection(colName).doc(docId);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+    trashInto(tx, colName, snap, user);
+    return snap.data();
+  });
+}
+
+// Returns { collection, docId, data }. Refuses to overwrite a doc created since the delete.
+async function restoreFromTrash(id) {
+  const tref = db.collection(COL_TRASH).doc(id);
+  return db.runTransaction(async (tx) => {
+    const tsnap = await tx.get(tref);
+    if (!tsnap.exists) throw httpError(404, 'Not in trash');
+    const { collection, docId, data } = tsnap.data();
+    const ref = db.collection(collection).doc(docId);
+    if ((await tx.get(ref)).exists) throw httpError(409, `${collection}/${docId} already exists`);
+    tx.set(ref, data);
+    tx.delete(tref);
+    return { collection, docId, data };
+  });
+}
+
+// Returns the purged entry, or null if it was not in the trash.
+async function purgeFromTrash(id) {
+  const tref = db.collection(COL_TRASH).doc(id);
+  const snap = await tref.get();
+  if (!snap.exists) return null;
+  await tref.delete();
+  return snap.data();
+}
+
+// Newest first. Ordering on deletedAt alone needs no composite index; the collection filter
+// is applied in memory, scanning at most MAX_SCANS pages of SCAN entries per call.
+async function listTrash({ collection, limit = 50, cursor } = {}) {
+  const SCAN = 200;
+  const MAX_SCANS = 10;
+  const qy = db.collection(COL_TRASH).orderBy('deletedAt', 'desc');
+  let after = null;
+  if (cursor) {
+    after = await db.collection(COL_TRASH).doc(String(cursor)).get();
+    if (!after.exists) throw httpError(400, 'Invalid cursor');
+  }
+
+  const entries = [];
+  let nextCursor = null;
+  for (let scans = 0; scans < MAX_SCANS; scans++) {
+    const snap = await (after ? qy.startAfter(after) : qy).limit(SCAN).get();
+    for (const d of snap.docs) {
+      after = d;
+      if (collection && d.get('collection') !== collection) continue;
+      entries.push({ trashId: d.id, ...d.data() });
+      if (entries.length === limit) break;
+    }
+    if (entries.length === limit || snap.size < SCAN) {
+      nextCursor = entries.length === limit ? after.id : null;
+      break;
+    }
+    nextCursor = after?.id ?? null; // scan budget used up: let the client continue from here
+  }
+  return { entries, nextCursor };
+}
+
+// Deletes entries trashed more than `days` ago; returns the purged entries.
+async function purgeExpired(days) {
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const purged = [];
+  for (;;) {
+    const snap = await db.collection(COL_TRASH).where('deletedAt', '<', cutoff).limit(400).get();
+    if (snap.empty) break;
+    const batch = db.batch();
+    snap.docs.forEach((d) => {
+      batch.delete(d.ref);
+      purged.push(d.data());
+    });
+    await batch.commit();
+    if (snap.size < 400) break;
+  }
+  return purged;
+}
+
+export { COL_TRASH, TRASHABLE, trashId, trashInto, moveToTrash, restoreFromTrash, purgeFromTrash, listTrash, purgeExpired };
@@ -0,0 +1,107 @@
+/* =======================================================================================
+ * Field checks for raw JSON payloads
+ *
+ * A spec maps field name -> type, where type is one of
+ *   'string' | 'id' (non-empty string) | 'number' | 'boolean' | 'tags' | 'any'
+ *   'url'                http(s) URL or a path on this server ("/uploads/..."); '' means none
+ *   'date'               date or date-time string Date.parse() understands; '' means none
+ *   rule(type, opts)     one of the above with constraints:
+ *                        { min, max, integer } for numbers, { enum: [...] } for strings,
+ *                        { check(v) } returning a message or null, for anything else
+ *   { ...nested spec }   plain object checked recursively
+ *   [ spec ]             array whose elements are checked against spec
+ * and the key '*' accepts any other field at that level.
+ * ======================================================================================= */
+const RULE = Symbol('rule');
+const rule = (type, opts = {}) => ({ [RULE]: true, type, ...opts });
+
+const isPlainObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v) && !v[RULE];
+
+function isUrl(v) {
+  if (v.startsWith('/') && !v.startsWith('//')) return true;
+  try {
+    return ['http:', 'https:'].includes(new URL(v).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function checkRule({ type, min, max, integer, enum: allowed, check }, v) {
+  const message = checkScalar(type, v) ?? check?.(v) ?? null;
+  if (message) return message;
+  if (allowed && !allowed.includes(String(v))) return `must be one of ${allowed.join(', ')}`;
+  if (type !== 'number') return null;
+  const n = Number(v);
+  if (integer && !Number.isInteger(n)) return 'must be a whole number';
+  if (min != null && n < min) return `must be at least ${min}`;
+  if (max != null && n > max) return `must be at most ${max}`;
+  return null;
+}
+
+function checkScalar(type, v) {
+  switch (type) {
+    case 'any':
+      return null;
+    case 'string':
+      return typeof v === 'string' || typeof v === 'number' ? null : 'must be a string';
+    case 'id':
+      return typeof v === 'string' && v.trim() ? null : 'must be a non-empty string';
+    case 'number':
+      return v !== '' && Number.isFinite(Number(v)) && typeof v !== 'boolean' ? null : 'must be a number';
+    case 'boolean':
+      return typeof v === 'boolean' ? null : 'must be true or false';
+    case 'url':
+      if (typeof v !== 'string') return 'must be a URL string';
+      return !v.trim() || isUrl(v.trim()) ? null : 'must be an http(s) URL';
+    case 'date':
+      if (typeof v !== 'string') return 'must be a date string';
+      return !v.trim() || Number.isFinite(Date.parse(v)) ? null : 'must be a date, e.g. 2025-08-10T09:00:00Z';
+    case 'tags':
+      if (typeof v === 'string') return null;
+      return Array.isArray(v) && v.every((t) => typeof t === 'string' || typeof t === 'number')
+        ? null
+        : 'must be a list of strings or a comma-separated string';
+    default:
+      throw new Error(`Unknown field type "${type}"`);
+  }
+}
+
+// Returns { errors: [{ path, message }], dropped: [path] }; `dropped` are fields the spec
+// does not know, which the collection sanitizers silently discard.
+function checkFields(spec, value, path = '', out = { errors: [], dropped: [] }) {
+  if (!isPlainObject(value)) {
+    out.errors.push({ path: path || '(root)', message: 'must be an object' });
+    return out;
+  }
+  for (const [k, v] of Object.entries(value)) {
+    const p = path ? `${path}.${k}` : k;
+    const type = spec[k] ?? spec['*'];
+    if (type === undefined) {
+      out.dropped.push(p);
+      continue;
+    }
+    if (v == null) continue;
+
+    if (Array.isArray(type)) {
+      if (!Array.isArray(v)) out.errors.push({ path: p, message: 'must be an array' });
+      else v.forEach((el, i) => checkFields(type[0], el, `${p}[${i}]`, out));
+    } else if (isPlainObject(type)) {
+      checkFields(type, v, p, out);
+    } else {
+      const message = type[RULE] ? checkRule(type, v) : checkScalar(type, v);
+      if (message) out.errors.push({ path: p, message });
+    }
+  }
+  return out;
+}
+
+// Required fields are checked on the sanitized payload, so "   " or a wrong type counts as missing.
+const missingFields = (required, payload) =>
+  required
+    .filter((k) => payload[k] == null || (typeof payload[k] === 'string' && !payload[k].trim()))
+    .map((k) => ({ path: k, message: 'is required' }));
+
+// Fields the spec does not know, as errors, for routes that reject them instead of dropping.
+const unknownFields = (dropped) => dropped.map((path) => ({ path, message: 'is not a known field' }));
+
+export { rule, checkFields, missingFields, unknownFields };
@@ -0,0 +1,65 @@
+/* ---------- panel auth ----------
+   Include after the Firebase compat SDKs (firebase-app-compat + firebase-auth-compat) and
+   before the page script. Wraps window.fetch so every request to the panel API carries the
+   signed-in user's Firebase ID token, and sends anonymous visitors to login.html. */
+(function () {
+  const LOGIN_PAGE = 'login.html';
+  const isLoginPage = location.pathname.endsWith('/' + LOGIN_PAGE);
+  const rawFetch = window.fetch.bind(window);
+
+  const isApiUrl = (url) => /\/api\/|\/addJsonData/.test(url) && !/\/api\/(auth\/config|health)/.test(url);
+  const goLogin = () => {
+    if (isLoginPage) return;
+    location.href = `${LOGIN_PAGE}?next=${encodeURIComponent(location.pathname + location.search)}`;
+  };
+
+  // Resolves with the current firebase.User (or null) once the SDK has restored the session.
+  const ready = rawFetch('/api/auth/config')
+    .then((r) => r.json())
+    .then(({ config }) => {
+      if (!firebase.apps.length) firebase.initializeApp(config);
+      return new Promise((resolve) => {
+        const off = firebase.auth().onAuthStateChanged((user) => { off(); resolve(user); });
+      });
+    })
+    .catch((e) => { console.error('auth init failed', e); return null; });
+
+  window.panelAuth = {
+    ready,
+    async token() {
+      await ready;
+      const user = firebase.apps.length ? firebase.auth().currentUser : null;
+      return user ? user.getIdToken() : null; // the SDK refreshes expired tokens itself
+    },
+    async signOut() {
+      await ready;
+      await firebase.auth().signOut();
+      goLogin();
+    },
+  };
+
+  window.fetch = async (input, init = {}) => {
+    const url = typeof input === 'string' ? input : input.url;
+    if (!isApiUrl(url)) return rawFetch(input, init);
+
+    const token = await window.panelAuth.token();
+    if (!token) { goLogin(); throw new Error('Not signed in'); }
+    const headers = new Headers(init.headers || (input instanceof Request ? input.headers : undefined));
+    headers.set('Authorization', `Bearer ${token}`);
+    const res = await rawFetch(input, { ...init, headers });
+    if (res.status === 401) goLogin();
+    return res;
+  };
+
+  if (!isLoginPage) {
+    ready.then((user) => { if (!user) goLogin(); });
+    document.addEventListener('DOMContentLoaded', () => {
+      const nav = document.querySelector('nav ul');
+      if (!nav) return;
+      const li = document.createElement('li');
+      li.innerHTML = '<a href="#" id="signOutLink">Sign out</a>';
+      nav.appendChild(li);
+      li.firstChild.addEventListener('click', (e) => { e.preventDefault(); window.panelAuth.signOut(); });
+    });
+  }
+})();
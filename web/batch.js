@@ -0,0 +1,59 @@
+/* ---------- batch actions on selected rows ----------
+   Rows carry data-id (and data-version) and a .row-select checkbox; the header has a
+   .select-all one. panelSelection(table, onChange) tracks the ticked rows; panelBatch()
+   posts to <listPath>/batch, which answers one result per document (see resources.js):
+   the documents that failed are skipped and listed, the others are written together. */
+function panelSelection(table, onChange) {
+  const boxes = () => [...table.querySelectorAll('tbody .row-select')];
+  const all = table.querySelector('.select-all');
+  const picked = () => boxes().filter(b => b.checked).map(b => b.closest('tr'));
+  const changed = () => {
+    const n = picked().length, total = boxes().length;
+    all.checked = n > 0 && n === total;
+    all.indeterminate = n > 0 && n < total;
+    onChange(n);
+  };
+  all.addEventListener('change', () => { boxes().forEach(b => { b.checked = all.checked; }); changed(); });
+  table.addEventListener('change', e => { if (e.target.matches('tbody .row-select')) changed(); });
+  return {
+    body: () => {
+      const rows = picked();
+      return {
+        ids: rows.map(tr => tr.dataset.id),
+        versions: Object.fromEntries(rows.filter(tr => tr.dataset.version).map(tr => [tr.dataset.id, tr.dataset.version])),
+      };
+    },
+    refresh: changed, // call after re-rendering the rows
+  };
+}
+
+async function panelBatch(listPath, body) {
+  const r = await fetch(`${listPath}/batch`, {
+    method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body)
+  });
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok || !data.ok) {
+    throw new Error(data.errors?.length ? data.errors.map(e => `${e.path} ${e.message}`).join('; ') : (data.error || `Batch failed (HTTP ${r.status})`));
+  }
+  return data;
+}
+
+// "3 updated, 1 failed" plus each failure's reason, for the status line
+function batchSummary(data, verb) {
+  const failures = data.results.filter(r => !r.ok).map(r => {
+    const why = r.errors?.length ? r.errors.map(e => `${e.path} ${e.message}`).join(', ') : r.error;
+    return `${r.id}: ${why}`;
+  });
+  return `${data.succeeded} ${verb}` + (data.failed ? `, ${data.failed} failed — ${failures.join('; ')}` : '.');
+}
+
+// Marks the rows (still) shown whose document failed, with the reason as tooltip.
+function markBatchFailures(tbody, data) {
+  data.results.filter(r => !r.ok).forEach(r => {
+    const tr = [...tbody.querySelectorAll('tr[data-id]')].find(row => row.dataset.id === r.id);
+    if (!tr) return;
+    tr.classList.add('batch-failed');
+    tr.title = r.errors?.length ? r.errors.map(e => `${e.path} ${e.message}`).join(', ') : r.error;
+    const box = tr.querySelector('.row-select'); if (box) box.checked = true;
+  });
+}
@@ -0,0 +1,20 @@
+/* ---------- export download ----------
+   Fetches /api/export/:collection (so auth.js can attach the token) and saves the
+   response as a file. params are the list filters, e.g. { category, saved, q }. */
+async function panelExport(collection, format = 'json', params = {}) {
+  const qs = new URLSearchParams({ format });
+  Object.entries(params).forEach(([k, v]) => { if (v !== '' && v != null) qs.append(k, v); });
+
+  const r = await fetch(`/api/export/${encodeURIComponent(collection)}?${qs}`);
+  if (!r.ok) {
+    const data = await r.json().catch(() => ({}));
+    throw new Error(data.error || `Export failed (HTTP ${r.status})`);
+  }
+  const name = (/filename="([^"]+)"/.exec(r.headers.get('content-disposition') || '') || [])[1]
+    || `${collection}.${format}`;
+  const url = URL.createObjectURL(await r.blob());
+  const a = document.createElement('a');
+  a.href = url; a.download = name;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
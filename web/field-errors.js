@@ -0,0 +1,25 @@
+/* ---------- inline field errors ----------
+   A 400 "Validation failed" response carries errors: [{ path, message }], path naming the
+   field ("title", "stats.views", "content.products[1].link"). showFieldErrors() puts each
+   message under its input; inputFor(path) finds that input, or returns null. Messages with
+   no input are returned so the page can show them some other way. */
+function clearFieldErrors() {
+  document.querySelectorAll('.field-error').forEach(n => n.remove());
+  document.querySelectorAll('.field-invalid').forEach(n => n.classList.remove('field-invalid'));
+}
+
+function showFieldErrors(errors, inputFor) {
+  clearFieldErrors();
+  const rest = [];
+  (errors || []).forEach(({ path, message }) => {
+    const input = path ? inputFor(path) : null;
+    if (!input) { rest.push(`${path || 'request'} ${message}`); return; }
+    input.classList.add('field-invalid');
+    const note = document.createElement('div');
+    note.className = 'field-error';
+    note.textContent = message;
+    input.insertAdjacentElement('afterend', note);
+  });
+  document.querySelector('.field-invalid')?.focus();
+  return rest;
+}
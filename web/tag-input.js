@@ -0,0 +1,66 @@
+/* ---------- tag autocomplete ----------
+   For a comma-separated tags input. tagAutocomplete(input) suggests the tags in use that
+   start with the one being typed (GET /api/tags?prefix=, most used first); clicking one, or
+   Enter / Tab on the highlighted one, puts it in place of the partial tag. The list is a
+   .tag-suggest element right after the input (the page styles it and gives the input's
+   parent position:relative). */
+function tagAutocomplete(input, { limit = 8 } = {}) {
+  const list = document.createElement('div');
+  list.className = 'tag-suggest';
+  list.hidden = true;
+  input.insertAdjacentElement('afterend', list);
+  let active = -1, timer = null, seq = 0;
+
+  const parts = () => input.value.split(',');
+  const current = () => parts().pop().trim();
+  const hide = () => { list.hidden = true; active = -1; };
+  const highlight = (i) => {
+    const items = [...list.children];
+    active = items.length ? (i + items.length) % items.length : -1;
+    items.forEach((el, n) => el.classList.toggle('on', n === active));
+  };
+  const pick = (name) => {
+    const kept = parts().slice(0, -1).map(s => s.trim()).filter(Boolean);
+    input.value = [...kept, name].join(', ') + ', ';
+    hide();
+    input.focus();
+  };
+
+  async function suggest() {
+    const prefix = current();
+    if (!prefix) return hide();
+    const mine = ++seq;
+    try {
+      const r = await fetch(`/api/tags?prefix=${encodeURIComponent(prefix)}&limit=${limit}`);
+      const data = await r.json();
+      if (mine !== seq) return; // a newer keystroke already asked
+      const taken = new Set(parts().slice(0, -1).map(s => s.trim().toLowerCase()));
+      const tags = (data.tags || []).filter(t => !taken.has(t.name));
+      list.innerHTML = '';
+      tags.forEach(t => {
+        const el = document.createElement('div');
+        el.textContent = t.name;
+        const n = document.createElement('span');
+        n.textContent = t.total;
+        el.appendChild(n);
+        el.onmousedown = (e) => { e.preventDefault(); pick(t.name); };
+        list.appendChild(el);
+      });
+      list.hidden = !tags.length;
+      highlight(0);
+    } catch (e) {
+      console.error(e);
+      hide();
+    }
+  }
+
+  input.setAttribute('autocomplete', 'off');
+  input.addEventListener('input', () => { clearTimeout(timer); timer = setTimeout(suggest, 150); });
+  input.addEventListener('blur', hide);
+  input.addEventListener('keydown', (e) => {
+    if (list.hidden) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') { e.preventDefault(); highlight(active + (e.key === 'ArrowDown' ? 1 : -1)); }
+    else if ((e.key === 'Enter' || e.key === 'Tab') && active >= 0) { e.preventDefault(); pick(list.children[active].firstChild.textContent); }
+    else if (e.key === 'Escape') hide();
+  });
+}